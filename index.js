@@ -4,16 +4,20 @@ import chalk from "chalk";
 import { Command } from "commander";
 import { DEFAULT_OUTPUT } from "./src/constants.js";
 import { RepoStructure } from "./src/repo-structure.js";
-import { initCommand, checkCommand } from "./src/cli-commands.js";
+import { initCommand, checkCommand, diffCommand, formatsCommand, lintCommand, budgetCommand, verifyCommand, injectCommand, cacheClearCommand } from "./src/cli-commands.js";
 
 const program = new Command();
 
+// Subcommands define their own -f/-o/... options; keep the main command's
+// options from swallowing them
+program.enablePositionalOptions();
+
 program
     .name("repostruc")
     .description("Advanced CLI tool to visualize and analyze repository structure")
     .version("0.3.0")
-    .argument("[directory]", "directory to analyze", ".")
-    .option("-o, --output <file>", "output file name", DEFAULT_OUTPUT)
+    .argument("[directories...]", "directories to analyze, each rendered as its own root", ["."])
+    .option("-o, --output <file>", `output file name (default: ${DEFAULT_OUTPUT})`)
     .option("-i, --ignore <patterns>", "comma-separated patterns to ignore")
     .option("--include <patterns>", "comma-separated patterns to include")
     .option("--stats", "show detailed statistics")
@@ -23,40 +27,68 @@ program
     .option("--no-default-patterns", "disable default ignore patterns")
     .option("--hidden", "include hidden files and directories")
     .option("-d, --depth <number>", "maximum depth to traverse", parseInt)
-    .option("-f, --format <type>", "output format (txt, json, markdown)", "txt")
+    .option("-f, --format <type>", "output format: txt, json, markdown, html, csv, tsv, ndjson, mermaid, dot, manifest or a plugin format (default: txt)")
+    .option("--diagram", "embed a Mermaid diagram of the tree in markdown output")
+    .option("--columns <list>", "comma-separated columns for csv, tsv and ndjson output")
+    .option("--format-plugin <modules>", "comma-separated format plugin modules or packages to load")
+    .option("--sort <key>", "sort entries by name or size (default: name)")
     .option("--group-by-type", "group files by type in file list")
     .option("--timestamps", "show file modification timestamps")
     .option("--permissions", "show file permissions (Unix-style)")
     .option("--exclude-empty", "exclude empty directories")
     .option("--follow-symlinks", "follow symbolic links")
     .option("--git-status", "show git status for files")
+    .option("--git-history", "show last commit, author, commit count and churn per file")
+    .option("--history-window <period>", "period counted for --git-history commits and churn (default: 90 days ago)")
+    .option("--loc", "count code, comment and blank lines per file, language and directory")
+    .option("--duplicates", "find byte-identical files and show how much space they waste")
+    .option("--deps", "parse JS/TS imports and report dependency cycles, orphan files and cross-package edges")
+    .option("--workspaces", "detect monorepo workspace packages, mark them in the tree and summarize each")
+    .option("--package <names>", "analyze only the comma-separated workspace packages (names or paths)")
+    .option("--ref <commit-ish>", "analyze a git revision instead of the working tree")
+    .option("--cache", "reuse line counts, hashes and imports of unchanged files from .repostruc-cache/")
+    .option("--no-cache", "do not use the analysis cache, even when the configuration enables it")
     .option("--no-color", "disable colored output")
     .option("--color-file", "enable colors in output file (may show ANSI codes)")
     .option("--no-print", "don't print structure to terminal")
+    .option("-w, --watch", "keep running and update the output whenever files are added, removed or renamed")
     .option("--no-file", "don't save output to file, only print to terminal")
-    .option("--save-config", "save current options as default configuration")
+    .option("-p, --profile <name>", "apply a named profile from the configuration file")
+    .option("--check-budgets", "report usage of the configured budgets and exit with 1 when one is exceeded")
+    .option("--save-config", "save current options as default configuration (or into --profile)")
     .option("--debug", "enable debug output")
-    .action(async (directory, options) => {
+    .action(async (directories, options) => {
         try {
             if (options.debug) {
                 console.log(chalk.gray('Debug: Options received:'), options);
-                console.log(chalk.gray('Debug: Directory:', directory));
+                console.log(chalk.gray('Debug: Directories:', directories.join(', ')));
             }
             
-            // Store directory in options for later use
-            options.directory = directory;
+            // Store directory in options for later use; the first one is
+            // where configuration is discovered
+            options.directory = directories[0];
             
             const analyzer = new RepoStructure(options);
             
+            // Saving does not need the current configuration, and a profile
+            // being saved may not exist yet
             if (options.saveConfig) {
                 await analyzer.generateConfig();
                 return;
             }
 
-            if (options.file === false) {
-                await analyzer.printOutput(directory);
+            await analyzer.loadConfiguration();
+
+            await analyzer.loadFormats();
+
+            const roots = await analyzer.resolvePackages(directories);
+
+            if (options.watch) {
+                await analyzer.watch(roots);
+            } else if (options.file === false) {
+                await analyzer.reportBudgets(await analyzer.printOutput(roots));
             } else {
-                await analyzer.saveOutput(directory);
+                await analyzer.reportBudgets(await analyzer.saveOutput(roots));
             }
         } catch (error) {
             console.error(chalk.red("Error:"), error.message);
@@ -71,11 +103,88 @@ program
 program
     .command("init")
     .description("Initialize a .repostrucrc.json configuration file")
+    .argument("[directory]", "directory to create the configuration in", ".")
     .action(initCommand);
 
 program
     .command("check")
     .description("Check configuration and analyze potential issues")
+    .argument("[directory]", "directory to check", ".")
+    .option("-p, --profile <name>", "show the effective configuration with this profile applied")
     .action(checkCommand);
 
+program
+    .command("formats")
+    .description("List available output formats, including those from format plugins")
+    .argument("[directory]", "directory whose configuration lists format plugins", ".")
+    .option("--format-plugin <modules>", "comma-separated format plugin modules or packages to load")
+    .action(formatsCommand);
+
+program
+    .command("diff")
+    .description("Compare two structure snapshots (JSON output files, live directories or git revisions)")
+    .argument("<before>", "JSON snapshot, directory or git revision")
+    .argument("[after]", "JSON snapshot, directory or git revision", ".")
+    .option("--repo <directory>", "directory to read git revisions from", ".")
+    .option("-f, --format <type>", "diff format (txt, json, markdown)", "txt")
+    .option("-o, --output <file>", "write the diff to a file instead of stdout")
+    .option("--exit-code", "exit with 1 when the structure changed")
+    .option("-i, --ignore <patterns>", "comma-separated patterns to ignore in live directories")
+    .option("--include <patterns>", "comma-separated patterns to include in live directories")
+    .option("--hidden", "include hidden files in live directories")
+    .option("--no-gitignore", "disable .gitignore support for live directories")
+    .option("--no-default-patterns", "disable default ignore patterns for live directories")
+    .option("-d, --depth <number>", "maximum depth to traverse in live directories", parseInt)
+    .option("--no-color", "disable colored output")
+    .action(diffCommand);
+
+program
+    .command("lint")
+    .description("Check the structure against the \"rules\" in the configuration")
+    .argument("[directory]", "directory to lint", ".")
+    .option("-f, --format <type>", "report format (txt, json, sarif)", "txt")
+    .option("-o, --output <file>", "write the report to a file instead of stdout")
+    .option("-p, --profile <name>", "apply a named profile from the configuration file")
+    .option("--no-color", "disable colored output")
+    .action(lintCommand);
+
+program
+    .command("budget")
+    .description("Check size and file count budgets from the configuration")
+    .argument("[directory]", "directory to check", ".")
+    .option("-f, --format <type>", "report format (txt, json, markdown)", "txt")
+    .option("-o, --output <file>", "write the report to a file instead of stdout")
+    .option("-p, --profile <name>", "apply a named profile from the configuration file")
+    .option("--no-color", "disable colored output")
+    .action(budgetCommand);
+
+program
+    .command("verify")
+    .description("Check that a directory matches a manifest written by --format manifest")
+    .argument("<manifest>", "manifest file")
+    .argument("[directory]", "directory to verify", ".")
+    .option("-f, --format <type>", "report format (txt, json)", "txt")
+    .option("-o, --output <file>", "write the report to a file instead of stdout")
+    .option("--no-mode", "do not compare file modes")
+    .option("--no-color", "disable colored output")
+    .action(verifyCommand);
+
+const cache = program
+    .command("cache")
+    .description("Manage the analysis cache in .repostruc-cache/");
+
+cache
+    .command("clear")
+    .description("Delete the analysis cache of a directory")
+    .argument("[directory]", "analyzed directory", ".")
+    .action(cacheClearCommand);
+
+program
+    .command("inject")
+    .description("Replace the content between <!-- repostruc:start --> and <!-- repostruc:end --> markers with fresh output")
+    .argument("<files...>", "documents containing markers, e.g. README.md")
+    .option("--check", "do not write; exit with 1 when a block is out of date")
+    .option("-p, --profile <name>", "apply a named profile from the configuration file")
+    .action(injectCommand);
+
 program.parse();
\ No newline at end of file
@@ -1,40 +1,49 @@
-import fs from "fs";
 import { promises as fsPromises } from "fs";
 import path from "path";
 import fg from "fast-glob";
 import ignore from "ignore";
+import picomatch from "picomatch";
 import ora from "ora";
-import { getGitStatus } from "./git-utils.js";
-import { getFileCategory } from "./utils.js";
+import { getGitStatus, getGitHistory, listTree, getCommitDate } from "./git-utils.js";
+import { GitIgnore } from "./gitignore.js";
+import { getFileCategory, hashFile, TopList } from "./utils.js";
+import { STAT_CONCURRENCY, PROGRESS_INTERVAL, CACHE_DIR, CONFIG_FILES, BUDGET_WALK_SETTINGS } from "./constants.js";
+import { AnalysisCache } from "./cache.js";
+import { detectWorkspaces } from "./workspaces.js";
+import { countFileLines, emptyLocCounts, addLocCounts } from "./loc.js";
+import { evaluateBudgets } from "./budgets.js";
+import { isDependencySource, parseImports, loadDependencyContext, buildDependencyGraph } from "./deps.js";
 
 export class Analyzer {
     constructor(options) {
         this.options = options;
         this.errors = [];
         this.warnings = [];
-        this.ig = ignore();
-        this.setupIgnorePatterns();
     }
 
-    setupIgnorePatterns() {
+    setupIgnorePatterns(dir) {
         try {
-            // Add .gitignore patterns
-            if (this.options.useGitignore && fs.existsSync(".gitignore")) {
-                const gitignore = fs.readFileSync(".gitignore", "utf8");
-                this.ig.add(gitignore);
-            }
-            
             // Add custom ignore patterns
             if (this.options.ignorePatterns.length > 0) {
                 this.ig.add(this.options.ignorePatterns);
             }
             
-            // Add output file to ignore patterns
-            this.ig.add(this.options.outputFile);
+            // Add output file to ignore patterns; it is given relative to the
+            // working directory, so only ignore it when it lands inside `dir`
+            if (this.options.outputFile) {
+                const outputPath = path.relative(path.resolve(dir), path.resolve(this.options.outputFile));
+                if (outputPath && !outputPath.startsWith("..") && !path.isAbsolute(outputPath)) {
+                    this.ig.add(outputPath.split(path.sep).join("/"));
+                }
+            }
             
-            // Add config file to ignore patterns if requested
+            // The cache belongs to repostruc, not to the analyzed tree
+            this.ig.add(`${CACHE_DIR}/`);
+
+            // Add config files to ignore patterns if requested; package.json
+            // is more than configuration
             if (this.options.hideConfig) {
-                this.ig.add(".repostrucrc.json");
+                this.ig.add(CONFIG_FILES.filter(name => name !== "package.json"));
             }
         } catch (error) {
             this.errors.push(`Error setting up ignore patterns: ${error.message}`);
@@ -42,134 +51,767 @@ export class Analyzer {
     }
 
     async analyze(dir = ".") {
-        const spinner = ora('Analyzing repository structure...').start();
+        // The spinner is a CLI concern; library callers get a silent analysis
+        const spinner = this.options.showProgress ? ora('Analyzing repository structure...').start() : null;
         
         try {
-            // Get git status if requested
-            let gitStatus = {};
-            if (this.options.showGitStatus) {
+            this.ig = ignore();
+            this.setupIgnorePatterns(dir);
+
+            const structureMap = new Map();
+            const fileInfoMap = new Map();
+
+            this.history = this.options.showGitHistory ? await this.readHistory(dir) : null;
+            this.workspaces = this.options.showWorkspaces ? await this.readWorkspaces(dir) : null;
+
+            // Entries are recorded as the walk produces them
+            const record = (fileInfo) => {
                 try {
-                    gitStatus = await getGitStatus();
+                    if (this.history) {
+                        fileInfo.history = this.history[fileInfo.path.split(path.sep).join("/")] || null;
+                    }
+                    this.recordEntry(fileInfo, structureMap, fileInfoMap);
                 } catch (error) {
-                    this.warnings.push(error.message);
+                    this.errors.push(`Error processing ${fileInfo.path}: ${error.message}`);
+                }
+                if (spinner && fileInfoMap.size % PROGRESS_INTERVAL === 0) {
+                    spinner.text = `Analyzing repository structure... ${fileInfoMap.size} entries`;
                 }
+            };
+
+            const { fileInfos, gitStatus } = this.options.ref
+                ? await this.readRevision(dir, this.options.ref)
+                : await this.readWorkingTree(dir, record);
+            if (this.options.ref) {
+                fileInfos.forEach(record);
+            }
+
+            this.budgetFileInfos = await this.readBudgetFiles(dir);
+
+            this.cache = await this.loadCache(dir);
+            if (this.cache) {
+                fileInfos.forEach(fileInfo => this.cache.restore(fileInfo, this.getCachedFields()));
             }
+
+            if (this.options.showLoc) {
+                await this.readLineCounts(dir, fileInfos);
+            }
+
+            if (this.options.findDuplicates || this.options.hashFiles) {
+                await this.readContentHashes(dir, fileInfos);
+            }
+
+            if (this.options.showDeps) {
+                await this.readImports(dir, fileInfos);
+            }
+
+            if (this.cache) {
+                await this.cache.save(fileInfos);
+                this.warnings.push(...this.cache.getWarnings());
+            }
+
+            const stats = this.computeStats(fileInfos, fileInfoMap);
             
-            const files = await fg(this.options.includePatterns, {
+            if (spinner) spinner.succeed('Analysis complete!');
+            return {
+                files: fileInfos.map(fileInfo => fileInfo.path),
+                stats,
+                structureMap,
+                fileInfoMap,
+                gitStatus,
+                ref: this.options.ref || null
+            };
+        } catch (error) {
+            if (spinner) spinner.fail('Analysis failed!');
+            throw error;
+        }
+    }
+
+    // Streams the glob and stats at most STAT_CONCURRENCY entries at a time.
+    // Entries reach `onEntry` (and the returned list) in glob order, which
+    // keeps the output stable although stats finish in any order.
+    async readWorkingTree(dir, onEntry = () => {}) {
+        // Get git status if requested
+        let gitStatus = {};
+        if (this.options.showGitStatus) {
+            try {
+                gitStatus = await getGitStatus(dir);
+            } catch (error) {
+                this.warnings.push(error.message);
+            }
+        }
+        
+        // Resolve .gitignore, info/exclude and global excludes like git does;
+        // kept for update()
+        let gitignore = null;
+        if (this.options.useGitignore) {
+            gitignore = await new GitIgnore(dir, this.options).load();
+            this.warnings.push(...gitignore.getWarnings());
+        }
+        this.gitignore = gitignore;
+
+        const stream = fg.stream(this.options.includePatterns, {
+            ignore: this.options.ignorePatterns,
+            dot: this.options.showHidden,
+            cwd: dir,
+            onlyDirectories: false,
+            onlyFiles: false,
+            markDirectories: true,
+            followSymbolicLinks: this.options.followSymlinks,
+            deep: this.options.maxDepth === Infinity ? Infinity : this.options.maxDepth + 1,
+            suppressErrors: true
+        });
+
+        const fileInfos = [];
+        const finished = new Map();
+        let queued = 0;
+        let next = 0;
+        let wake = null;
+        const flush = () => {
+            while (finished.has(next)) {
+                const fileInfo = finished.get(next);
+                finished.delete(next++);
+                if (!fileInfo) continue;
+                fileInfos.push(fileInfo);
+                onEntry(fileInfo);
+            }
+        };
+        // Resolves once fewer than `limit` entries are running or waiting
+        // for an earlier one to finish
+        const below = (limit) => (queued - next < limit ? null : new Promise(resolve => {
+            wake = () => {
+                if (queued - next < limit) {
+                    wake = null;
+                    resolve();
+                }
+            };
+        }));
+
+        for await (const entry of stream) {
+            // Filter using ignore instances; directories keep their trailing
+            // slash until here so directory-only patterns match them
+            const file = String(entry);
+            if (this.ig.ignores(file) || (gitignore && gitignore.ignores(file))) continue;
+
+            const index = queued++;
+            this.readEntry(dir, file.replace(/\/$/, ""), gitStatus).then(fileInfo => {
+                finished.set(index, fileInfo);
+                flush();
+                if (wake) wake();
+            });
+            await below(STAT_CONCURRENCY);
+        }
+        await below(1);
+
+        return { fileInfos, gitStatus };
+    }
+
+    // Stats one path of the working tree; null when it cannot be read or is
+    // an empty directory that should be skipped
+    async readEntry(dir, file, gitStatus) {
+        const fullPath = path.resolve(dir, file);
+        let stat;
+        let isSymlink;
+        try {
+            // lstat() tells whether this is a link; only links need a
+            // second stat() for what they point to
+            stat = await fsPromises.lstat(fullPath);
+            isSymlink = stat.isSymbolicLink();
+            if (isSymlink) stat = await fsPromises.stat(fullPath);
+        } catch (statError) {
+            this.warnings.push(`Could not stat file ${file}: ${statError.message}`);
+            return null;
+        }
+
+        const isDirectory = stat.isDirectory();
+
+        // Skip empty directories if requested
+        if (this.options.excludeEmpty && isDirectory) {
+            try {
+                const contents = await fsPromises.readdir(fullPath);
+                if (contents.length === 0) return null;
+            } catch (readError) {
+                this.warnings.push(`Could not read directory ${file}: ${readError.message}`);
+            }
+        }
+
+        return {
+            path: file,
+            size: stat.size,
+            isDirectory,
+            modified: stat.mtime,
+            permissions: stat.mode,
+            isSymlink,
+            gitStatus: gitStatus[file] || null
+        };
+    }
+
+    // Path filters equivalent to the glob and ignore rules used by
+    // readWorkingTree(). Paths are relative to the root, "/"-separated, and
+    // directories end with "/". isExcluded() covers --depth, --hidden, the
+    // ignore patterns and (when given) .gitignore rules; isIncluded() also
+    // requires a match with the include patterns.
+    createEntryFilter(gitignore = null) {
+        // Include patterns match like fast-glob does: `*.js` only at the
+        // root, grouped by static base directory, which is itself never a
+        // match
+        const includeTasks = fg.generateTasks(this.options.includePatterns).map(task => ({
+            base: task.base,
+            matches: picomatch(task.positive, { dot: true, ignore: task.negative })
+        }));
+        const matchesInclude = (testPath) => {
+            const file = testPath.replace(/\/$/, "");
+            return includeTasks.some(task => (task.base === "." || file.startsWith(`${task.base}/`)) && task.matches(file));
+        };
+        const exclude = ignore().add(this.options.ignorePatterns);
+        const maxParts = this.options.maxDepth === Infinity ? Infinity : this.options.maxDepth + 1;
+
+        const isExcluded = (testPath) => {
+            const parts = testPath.replace(/\/$/, "").split("/");
+            if (parts.length > maxParts) return true;
+            if (!this.options.showHidden && parts.some(part => part.startsWith("."))) return true;
+            if (exclude.ignores(testPath) || this.ig.ignores(testPath)) return true;
+            return Boolean(gitignore && gitignore.ignores(testPath));
+        };
+        const isIncluded = (testPath) => matchesInclude(testPath) && !isExcluded(testPath);
+
+        return { isExcluded, isIncluded };
+    }
+
+    // Applies changes to the given paths (relative to `dir`) to a previous
+    // result of analyze() in place, instead of globbing the whole tree
+    // again. Returns false when none of the paths affect the result.
+    async update(dir, result, changedPaths) {
+        const filter = this.createEntryFilter(this.gitignore);
+        let changed = false;
+
+        for (const file of changedPaths) {
+            try {
+                changed = await this.updateEntry(dir, file, filter, result) || changed;
+            } catch (error) {
+                this.errors.push(`Error processing ${file}: ${error.message}`);
+            }
+        }
+        if (!changed) return false;
+
+        if (this.options.showGitStatus) {
+            try {
+                result.gitStatus = await getGitStatus(dir);
+            } catch (error) {
+                this.warnings.push(error.message);
+            }
+            result.fileInfoMap.forEach((fileInfo, file) => {
+                fileInfo.gitStatus = result.gitStatus[file] || null;
+            });
+        }
+
+        const fileInfos = Array.from(result.fileInfoMap.values());
+        if (this.options.findDuplicates || this.options.hashFiles) {
+            await this.readContentHashes(dir, fileInfos);
+        }
+        if (this.options.showDeps) {
+            await this.readImports(dir, fileInfos);
+        }
+        if (this.budgetFileInfos) {
+            this.budgetFileInfos = await this.readBudgetFiles(dir);
+        }
+        result.files = fileInfos.map(fileInfo => fileInfo.path);
+        result.stats = this.computeStats(fileInfos, result.fileInfoMap);
+        return true;
+    }
+
+    // Budgets hold for the whole tree: hidden files and paths below --depth
+    // count too (ignore patterns still apply), as in `repostruc budget`.
+    // When the displayed tree is narrower, the files for budgets come from a
+    // walk of their own; otherwise resolves null.
+    async readBudgetFiles(dir) {
+        const budgets = this.options.budgets || [];
+        if (budgets.length === 0 || (this.options.maxDepth === Infinity && this.options.showHidden)) {
+            return null;
+        }
+
+        const analyzer = new Analyzer({
+            ...this.options,
+            ...BUDGET_WALK_SETTINGS,
+            budgets: [],
+            showProgress: false,
+            showGitStatus: false,
+            showGitHistory: false,
+            showLoc: false,
+            findDuplicates: false,
+            hashFiles: false,
+            showDeps: false,
+            showWorkspaces: false,
+            useCache: false
+        });
+        const result = await analyzer.analyze(dir);
+        this.errors.push(...analyzer.getErrors());
+        return Array.from(result.fileInfoMap.values());
+    }
+
+    async updateEntry(dir, file, filter, result) {
+        const { structureMap, fileInfoMap } = result;
+        const stat = await fsPromises.stat(path.resolve(dir, file)).catch(() => null);
+        if (!stat) {
+            return this.removeEntry(file, structureMap, fileInfoMap);
+        }
+
+        const isDirectory = stat.isDirectory();
+        const testPath = file.split(path.sep).join("/") + (isDirectory ? "/" : "");
+        const isNew = !findNode(structureMap, file);
+        let changed = false;
+
+        if (filter.isIncluded(testPath)) {
+            const fileInfo = await this.readEntry(dir, file, result.gitStatus);
+            if (!fileInfo) {
+                return this.removeEntry(file, structureMap, fileInfoMap);
+            }
+            await this.readEntryDetails(dir, fileInfo);
+            this.recordEntry(fileInfo, structureMap, fileInfoMap);
+            changed = true;
+        }
+
+        // A directory that appeared (or was renamed) brings its contents
+        // along, even when only its contents match the include patterns
+        if (isDirectory && isNew && !filter.isExcluded(testPath)) {
+            const files = await fg(`${fg.escapePath(testPath)}**`, {
                 ignore: this.options.ignorePatterns,
-                dot: this.options.showHidden,
+                dot: true,
                 cwd: dir,
-                onlyDirectories: false,
                 onlyFiles: false,
+                markDirectories: true,
                 followSymbolicLinks: this.options.followSymlinks,
-                deep: this.options.maxDepth === Infinity ? Infinity : this.options.maxDepth + 1,
                 suppressErrors: true
             });
+            for (const child of files.filter(filter.isIncluded)) {
+                const childInfo = await this.readEntry(dir, child.replace(/\/$/, "").split("/").join(path.sep), result.gitStatus);
+                if (!childInfo) continue;
+                await this.readEntryDetails(dir, childInfo);
+                this.recordEntry(childInfo, structureMap, fileInfoMap);
+                changed = true;
+            }
+        }
+        return changed;
+    }
 
-            // Filter using ignore instance
-            const filteredFiles = files.filter(file => !this.ig.ignores(file));
-
-            const stats = {
-                totalFiles: 0,
-                totalDirs: 0,
-                totalSize: 0,
-                byExtension: {},
-                byCategory: {},
-                largestFiles: [],
-                errors: this.errors.length,
-                warnings: this.warnings.length
-            };
+    // Drops an entry and everything below it; returns whether it was present
+    removeEntry(file, structureMap, fileInfoMap) {
+        const parts = file.split(path.sep);
+        const parents = [structureMap];
+        for (const part of parts.slice(0, -1)) {
+            const next = parents[parents.length - 1].get(part);
+            if (!next) return false;
+            parents.push(next);
+        }
+        if (!parents[parents.length - 1].delete(parts[parts.length - 1])) return false;
 
-            const structureMap = new Map();
-            const fileInfoMap = new Map();
+        fileInfoMap.delete(file);
+        Array.from(fileInfoMap.keys())
+            .filter(key => key.startsWith(file + path.sep))
+            .forEach(key => fileInfoMap.delete(key));
 
-            for (const file of filteredFiles) {
-                try {
-                    const fullPath = path.resolve(dir, file);
-                    let stat;
-                    try {
-                        stat = await fsPromises.stat(fullPath);
-                    } catch (statError) {
-                        this.warnings.push(`Could not stat file ${file}: ${statError.message}`);
-                        continue;
-                    }
-                    
-                    const isDirectory = stat.isDirectory();
-                    
-                    // Skip empty directories if requested
-                    if (this.options.excludeEmpty && isDirectory) {
-                        try {
-                            const contents = await fsPromises.readdir(fullPath);
-                            if (contents.length === 0) continue;
-                        } catch (readError) {
-                            this.warnings.push(`Could not read directory ${file}: ${readError.message}`);
-                        }
-                    }
-                    
-                    // Collect file info
-                    const fileInfo = {
-                        path: file,
-                        size: stat.size,
-                        isDirectory,
-                        modified: stat.mtime,
-                        permissions: stat.mode,
-                        isSymlink: stat.isSymbolicLink(),
-                        gitStatus: gitStatus[file] || null
-                    };
-                    
-                    fileInfoMap.set(file, fileInfo);
-                    
-                    // Update statistics
-                    if (isDirectory) {
-                        stats.totalDirs++;
-                    } else {
-                        stats.totalFiles++;
-                        stats.totalSize += stat.size;
-                        
-                        // Track by extension
-                        const ext = path.extname(file) || "(no extension)";
-                        if (!stats.byExtension[ext]) {
-                            stats.byExtension[ext] = { count: 0, size: 0 };
-                        }
-                        stats.byExtension[ext].count++;
-                        stats.byExtension[ext].size += stat.size;
-                        
-                        // Track by category
-                        const category = getFileCategory(ext);
-                        if (!stats.byCategory[category]) {
-                            stats.byCategory[category] = { count: 0, size: 0 };
-                        }
-                        stats.byCategory[category].count++;
-                        stats.byCategory[category].size += stat.size;
-                        
-                        // Track largest files
-                        stats.largestFiles.push({ path: file, size: stat.size });
-                        stats.largestFiles.sort((a, b) => b.size - a.size);
-                        stats.largestFiles = stats.largestFiles.slice(0, 10);
-                    }
-                    
-                    // Build structure map
-                    const parts = file.split(path.sep);
-                    let current = structureMap;
-                    parts.forEach((part, i) => {
-                        if (!current.has(part)) {
-                            current.set(part, new Map());
-                        }
-                        if (i < parts.length - 1) {
-                            current = current.get(part);
-                        }
-                    });
-                } catch (error) {
-                    this.errors.push(`Error processing ${file}: ${error.message}`);
-                }
+        // Intermediate directories that only existed to hold this entry
+        for (let i = parents.length - 1; i > 0; i--) {
+            const parentPath = parts.slice(0, i).join(path.sep);
+            if (parents[i].size > 0 || fileInfoMap.has(parentPath)) break;
+            parents[i - 1].delete(parts[i - 1]);
+        }
+        return true;
+    }
+
+    // History and line counts for an entry added by update()
+    async readEntryDetails(dir, fileInfo) {
+        if (this.history) {
+            fileInfo.history = this.history[fileInfo.path.split(path.sep).join("/")] || null;
+        }
+        if (this.cache) {
+            this.cache.restore(fileInfo, this.getCachedFields());
+        }
+        if (this.options.showLoc && !fileInfo.isDirectory) {
+            await this.readLineCounts(dir, [fileInfo]);
+        }
+    }
+
+    // Builds the same entries from a committed tree instead of the disk.
+    // Everything in a revision is tracked, so .gitignore does not apply;
+    // the custom ignore/include patterns, --hidden and --depth still do.
+    async readRevision(dir, ref) {
+        if (this.options.showGitStatus) {
+            this.warnings.push(`Git status is not available when analyzing revision ${ref}`);
+        }
+
+        // listTree() first: it explains an unknown revision
+        const entries = await listTree(dir, ref);
+        const modified = await getCommitDate(dir, ref);
+        const { isIncluded } = this.createEntryFilter();
+
+        const fileInfos = [];
+        entries.forEach(entry => {
+            const isDirectory = entry.type !== "blob";
+            if (!isIncluded(isDirectory ? `${entry.path}/` : entry.path)) return;
+
+            fileInfos.push({
+                path: entry.path.split("/").join(path.sep),
+                size: entry.size,
+                isDirectory,
+                modified,
+                // git does not record directory modes
+                permissions: entry.type === "tree" ? 0o755 : entry.mode,
+                isSymlink: (entry.mode & 0o170000) === 0o120000,
+                isSubmodule: entry.type === "commit",
+                object: entry.object,
+                gitStatus: null
+            });
+        });
+
+        return { fileInfos, gitStatus: {} };
+    }
+
+    // Recursive size and file count on every directory's fileInfo
+    addDirectoryRollups(stats, fileInfos, fileInfoMap) {
+        fileInfos.forEach(fileInfo => {
+            if (fileInfo.isDirectory) {
+                fileInfo.totalSize = fileInfo.totalSize || 0;
+                fileInfo.fileCount = fileInfo.fileCount || 0;
+                return;
             }
-            
-            spinner.succeed('Analysis complete!');
-            return { files: filteredFiles, stats, structureMap, fileInfoMap, gitStatus };
+
+            for (let dirPath = path.dirname(fileInfo.path); dirPath !== "."; dirPath = path.dirname(dirPath)) {
+                const dirInfo = fileInfoMap.get(dirPath);
+                if (!dirInfo) continue;
+                dirInfo.totalSize = (dirInfo.totalSize || 0) + fileInfo.size;
+                dirInfo.fileCount = (dirInfo.fileCount || 0) + 1;
+            }
+        });
+
+        const largestDirectories = new TopList(10, (a, b) => a.totalSize - b.totalSize || b.path.localeCompare(a.path));
+        fileInfos.forEach(fileInfo => {
+            if (fileInfo.isDirectory) largestDirectories.push(fileInfo);
+        });
+        stats.largestDirectories = largestDirectories.values()
+            .map(fileInfo => ({ path: fileInfo.path, size: fileInfo.totalSize, files: fileInfo.fileCount }));
+    }
+
+    async readLineCounts(dir, fileInfos) {
+        if (this.options.ref) {
+            this.warnings.push(`Line counts are not available when analyzing revision ${this.options.ref}`);
+            return;
+        }
+
+        for (const fileInfo of fileInfos) {
+            if (fileInfo.isDirectory || fileInfo.loc) continue;
+            try {
+                fileInfo.loc = await countFileLines(path.resolve(dir, fileInfo.path));
+            } catch (error) {
+                this.warnings.push(`Could not count lines in ${fileInfo.path}: ${error.message}`);
+            }
+        }
+    }
+
+    // Totals per language, plus a rollup on every directory's fileInfo
+    addLocStats(stats, fileInfos, fileInfoMap) {
+        const loc = { byLanguage: {}, total: emptyLocCounts(), binaryFiles: 0 };
+
+        fileInfos.forEach(fileInfo => {
+            if (!fileInfo.loc) return;
+            if (fileInfo.loc.binary) {
+                loc.binaryFiles++;
+                return;
+            }
+
+            const language = fileInfo.loc.language;
+            if (!loc.byLanguage[language]) {
+                loc.byLanguage[language] = emptyLocCounts();
+            }
+            addLocCounts(loc.byLanguage[language], fileInfo.loc);
+            addLocCounts(loc.total, fileInfo.loc);
+
+            const parts = fileInfo.path.split(path.sep);
+            for (let i = 1; i < parts.length; i++) {
+                const dirInfo = fileInfoMap.get(parts.slice(0, i).join(path.sep));
+                if (!dirInfo) continue;
+                if (!dirInfo.loc) dirInfo.loc = emptyLocCounts();
+                addLocCounts(dirInfo.loc, fileInfo.loc);
+            }
+        });
+
+        stats.loc = loc;
+    }
+
+    // SHA-256 of file contents. With `hashFiles` (formats listing hashes)
+    // every file is hashed; duplicates alone only need the files sharing
+    // their size with another file. Revisions compare git blob ids instead,
+    // and hashes kept from an earlier run are reused by update().
+    async readContentHashes(dir, fileInfos) {
+        if (this.options.ref) {
+            if (this.options.hashFiles) {
+                this.warnings.push(`Content hashes are not available when analyzing revision ${this.options.ref}`);
+            }
+            return;
+        }
+
+        const files = fileInfos.filter(fileInfo => !fileInfo.isDirectory);
+        const sizeCounts = new Map();
+        files.forEach(fileInfo => sizeCounts.set(fileInfo.size, (sizeCounts.get(fileInfo.size) || 0) + 1));
+        const pending = this.options.hashFiles
+            ? files
+            : files.filter(fileInfo => fileInfo.size > 0 && sizeCounts.get(fileInfo.size) > 1);
+
+        for (const fileInfo of pending) {
+            if (fileInfo.hash) continue;
+            fileInfo.hash = await hashFile(path.resolve(dir, fileInfo.path), "sha256");
+            if (!fileInfo.hash) {
+                this.warnings.push(`Could not read ${fileInfo.path} to hash its content`);
+            }
+        }
+    }
+
+    // Groups of identical files, most wasted bytes first; every member gets
+    // the number of its group
+    addDuplicateStats(stats, fileInfos) {
+        const byHash = new Map();
+        fileInfos.forEach(fileInfo => {
+            delete fileInfo.duplicateGroup;
+            const hash = fileInfo.object || fileInfo.hash;
+            if (fileInfo.isDirectory || fileInfo.size === 0 || !hash) return;
+            if (!byHash.has(hash)) byHash.set(hash, []);
+            byHash.get(hash).push(fileInfo);
+        });
+
+        const groups = Array.from(byHash.values())
+            .filter(members => members.length > 1)
+            .map(members => members.sort((a, b) => a.path.localeCompare(b.path)))
+            .sort((a, b) => b[0].size * (b.length - 1) - a[0].size * (a.length - 1) || a[0].path.localeCompare(b[0].path));
+
+        groups.forEach((members, index) => {
+            members.forEach(fileInfo => {
+                fileInfo.duplicateGroup = index + 1;
+            });
+        });
+
+        stats.duplicates = {
+            groups: groups.map(members => ({
+                size: members[0].size,
+                wasted: members[0].size * (members.length - 1),
+                files: members.map(fileInfo => fileInfo.path)
+            })),
+            files: groups.reduce((total, members) => total + members.length, 0),
+            wasted: groups.reduce((total, members) => total + members[0].size * (members.length - 1), 0)
+        };
+    }
+
+    // Workspace definitions are read from the disk, so a revision's own
+    // packages are not known
+    async readWorkspaces(dir) {
+        if (this.options.ref) {
+            this.warnings.push(`Workspaces are not available when analyzing revision ${this.options.ref}`);
+            return null;
+        }
+        return detectWorkspaces(dir, this.warnings);
+    }
+
+    // Marks package roots and sums the files below each package; files of
+    // nested packages count for the innermost one
+    addWorkspaceStats(stats, fileInfos) {
+        const packages = new Map(this.workspaces.map(pkg => [pkg.path.split("/").join(path.sep), {
+            ...pkg,
+            files: 0,
+            size: 0,
+            loc: this.options.showLoc ? 0 : undefined
+        }]));
+
+        fileInfos.forEach(fileInfo => {
+            if (fileInfo.isDirectory) {
+                const pkg = packages.get(fileInfo.path);
+                if (pkg) fileInfo.packageName = pkg.name;
+                else delete fileInfo.packageName;
+                return;
+            }
+            for (let dirPath = path.dirname(fileInfo.path); dirPath !== "."; dirPath = path.dirname(dirPath)) {
+                const pkg = packages.get(dirPath);
+                if (!pkg) continue;
+                pkg.files++;
+                pkg.size += fileInfo.size;
+                if (pkg.loc !== undefined && fileInfo.loc && !fileInfo.loc.binary) pkg.loc += fileInfo.loc.code;
+                break;
+            }
+        });
+
+        stats.packages = Array.from(packages.values());
+    }
+
+    // Per-file results this run computes and can take from the cache
+    getCachedFields() {
+        return [
+            this.options.showLoc && "loc",
+            (this.options.findDuplicates || this.options.hashFiles) && "hash",
+            this.options.showDeps && "imports"
+        ].filter(Boolean);
+    }
+
+    // With --cache, the cache of the root; not used for revisions, or when
+    // nothing this run computes is cached
+    async loadCache(dir) {
+        if (!this.options.useCache || this.options.ref || this.getCachedFields().length === 0) return null;
+        return new AnalysisCache(dir).load();
+    }
+
+    // Import specifiers of JavaScript/TypeScript files, plus the path aliases
+    // and packages used to resolve them. Entries read again by update() lose
+    // their imports and are parsed anew.
+    async readImports(dir, fileInfos) {
+        this.dependencyContext = null;
+        if (this.options.ref) {
+            this.warnings.push(`Dependencies are not available when analyzing revision ${this.options.ref}`);
+            return;
+        }
+
+        const toPosix = fileInfo => fileInfo.path.split(path.sep).join("/");
+        const files = fileInfos.filter(fileInfo => !fileInfo.isDirectory);
+        for (const fileInfo of files) {
+            if (fileInfo.imports || !isDependencySource(fileInfo.path)) continue;
+            try {
+                fileInfo.imports = parseImports(await fsPromises.readFile(path.resolve(dir, fileInfo.path), "utf8"));
+            } catch (error) {
+                this.warnings.push(`Could not read imports of ${fileInfo.path}: ${error.message}`);
+            }
+        }
+        this.dependencyContext = await loadDependencyContext(dir, files.map(toPosix), this.warnings);
+    }
+
+    addDependencyStats(stats, fileInfos) {
+        const toPosix = fileInfo => fileInfo.path.split(path.sep).join("/");
+        const files = fileInfos.filter(fileInfo => !fileInfo.isDirectory);
+        const sources = new Map(files.filter(fileInfo => fileInfo.imports).map(fileInfo => [toPosix(fileInfo), fileInfo.imports]));
+        stats.deps = buildDependencyGraph(sources, files.map(toPosix), this.dependencyContext);
+    }
+
+    async readHistory(dir) {
+        try {
+            return await getGitHistory(dir, this.options.historyWindow, this.options.ref || 'HEAD');
         } catch (error) {
-            spinner.fail('Analysis failed!');
-            throw error;
+            this.warnings.push(error.message);
+            return null;
+        }
+    }
+
+    // Most committed files inside the history window, and files whose last
+    // commit is the oldest
+    addHistoryStats(stats, fileInfos) {
+        const tracked = fileInfos.filter(fileInfo => !fileInfo.isDirectory && fileInfo.history);
+        const toRow = fileInfo => ({ path: fileInfo.path, ...fileInfo.history });
+
+        stats.hottestFiles = tracked
+            .filter(fileInfo => fileInfo.history.commits > 0)
+            .sort((a, b) => b.history.commits - a.history.commits ||
+                (b.history.linesAdded + b.history.linesRemoved) - (a.history.linesAdded + a.history.linesRemoved))
+            .slice(0, 10)
+            .map(toRow);
+        stats.stalestFiles = tracked
+            .sort((a, b) => a.history.lastCommit - b.history.lastCommit)
+            .slice(0, 10)
+            .map(toRow);
+        stats.historyWindow = this.options.historyWindow;
+    }
+
+    // Statistics and rollups over all recorded entries; update() runs this
+    // again after entries changed
+    computeStats(fileInfos, fileInfoMap) {
+        const stats = {
+            totalFiles: 0,
+            totalDirs: 0,
+            totalSize: 0,
+            byExtension: {},
+            byCategory: {},
+            largestFiles: [],
+            errors: this.errors.length,
+            warnings: this.warnings.length
+        };
+
+        fileInfos.forEach(fileInfo => {
+            if (fileInfo.isDirectory) {
+                delete fileInfo.totalSize;
+                delete fileInfo.fileCount;
+                delete fileInfo.loc;
+            }
+        });
+        const largestFiles = new TopList(10, (a, b) => a.size - b.size || b.path.localeCompare(a.path));
+        fileInfos.forEach(fileInfo => this.recordStats(fileInfo, stats, largestFiles));
+        stats.largestFiles = largestFiles.values();
+
+        this.addDirectoryRollups(stats, fileInfos, fileInfoMap);
+
+        if (this.history) {
+            this.addHistoryStats(stats, fileInfos);
+        }
+
+        if (this.options.showLoc) {
+            this.addLocStats(stats, fileInfos, fileInfoMap);
+        }
+
+        if (this.options.findDuplicates) {
+            this.addDuplicateStats(stats, fileInfos);
+        }
+
+        if (this.workspaces) {
+            this.addWorkspaceStats(stats, fileInfos);
+        }
+
+        if (this.options.showDeps && this.dependencyContext) {
+            this.addDependencyStats(stats, fileInfos);
+        }
+
+        if (this.options.budgets && this.options.budgets.length > 0) {
+            stats.budgets = evaluateBudgets(this.budgetFileInfos || fileInfos, this.options.budgets);
+        }
+
+        return stats;
+    }
+
+    recordStats(fileInfo, stats, largestFiles) {
+        if (fileInfo.isDirectory) {
+            stats.totalDirs++;
+            return;
         }
+
+        stats.totalFiles++;
+        stats.totalSize += fileInfo.size;
+        
+        // Track by extension
+        const ext = path.extname(fileInfo.path) || "(no extension)";
+        if (!stats.byExtension[ext]) {
+            stats.byExtension[ext] = { count: 0, size: 0 };
+        }
+        stats.byExtension[ext].count++;
+        stats.byExtension[ext].size += fileInfo.size;
+        
+        // Track by category
+        const category = getFileCategory(ext);
+        if (!stats.byCategory[category]) {
+            stats.byCategory[category] = { count: 0, size: 0 };
+        }
+        stats.byCategory[category].count++;
+        stats.byCategory[category].size += fileInfo.size;
+        
+        // Track largest files
+        largestFiles.push({ path: fileInfo.path, size: fileInfo.size });
+    }
+
+    recordEntry(fileInfo, structureMap, fileInfoMap) {
+        const file = fileInfo.path;
+        fileInfoMap.set(file, fileInfo);
+        
+        // Build structure map
+        const parts = file.split(path.sep);
+        let current = structureMap;
+        parts.forEach((part, i) => {
+            if (!current.has(part)) {
+                current.set(part, new Map());
+            }
+            if (i < parts.length - 1) {
+                current = current.get(part);
+            }
+        });
     }
 
     getErrors() {
@@ -179,4 +821,13 @@ export class Analyzer {
     getWarnings() {
         return this.warnings;
     }
-}
\ No newline at end of file
+}
+
+function findNode(structureMap, file) {
+    let current = structureMap;
+    for (const part of file.split(path.sep)) {
+        current = current.get(part);
+        if (!current) return null;
+    }
+    return current;
+}
@@ -0,0 +1,48 @@
+import { DEFAULT_SETTINGS } from "./constants.js";
+import { Analyzer } from "./analyzer.js";
+import { formatResults } from "./formatters/index.js";
+import { normalizeBudgets } from "./budgets.js";
+import { parseColumns } from "./formatters/table-formatter.js";
+
+// Programmatic entry point. Unlike the CLI, nothing here prints, starts a
+// spinner or writes files: callers get data and strings back.
+
+export function resolveSettings(options = {}) {
+    const settings = { ...DEFAULT_SETTINGS, ...options };
+    // Budgets and columns may be given as in the configuration file
+    settings.budgets = normalizeBudgets(settings.budgets);
+    settings.columns = parseColumns(settings.columns);
+    return settings;
+}
+
+export async function analyze(dir = ".", options = {}) {
+    const settings = resolveSettings(options);
+    const analyzer = new Analyzer(settings);
+    const result = await analyzer.analyze(dir);
+
+    return {
+        ...result,
+        directory: dir,
+        settings,
+        errors: analyzer.getErrors(),
+        warnings: analyzer.getWarnings()
+    };
+}
+
+// Accepts one result from analyze(), or an array of them to render several
+// roots into one document
+export function render(result, format, options = {}) {
+    const results = Array.isArray(result) ? result : [result];
+    const settings = resolveSettings({ ...results[0].settings, ...options });
+
+    return formatResults(format || settings.format, settings, results);
+}
+
+export { Analyzer } from "./analyzer.js";
+export { loadSnapshot, snapshotFromAnalysis, diffSnapshots } from "./diff.js";
+export { loadManifest, getManifestSettings, verifyManifest } from "./manifest.js";
+export { parseSize, normalizeBudgets, evaluateBudgets } from "./budgets.js";
+export { parseImports, loadDependencyContext, buildDependencyGraph } from "./deps.js";
+export { detectWorkspaces, selectWorkspaces } from "./workspaces.js";
+export { loadFormatPlugin } from "./formatters/plugins.js";
+export { getFormatter, registerFormatter, listFormatters, TextFormatter, JSONFormatter, MarkdownFormatter, HTMLFormatter, ManifestFormatter, MermaidFormatter, DotFormatter, CSVFormatter, TSVFormatter, NDJSONFormatter } from "./formatters/index.js";
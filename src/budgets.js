@@ -0,0 +1,92 @@
+import path from "path";
+import picomatch from "picomatch";
+
+// Size and count budgets, configured under "budgets" in the configuration:
+//
+//   [{ path?: glob, maxSize?: size, maxFiles?: number, maxFileSize?: size }]
+//
+// `path` defaults to every file. Sizes are bytes or strings like "20 MB";
+// units are binary (1 KB = 1024 B), as in the rest of the output.
+
+export const BUDGET_LIMITS = {
+    maxSize: "total size",
+    maxFiles: "file count",
+    maxFileSize: "largest file"
+};
+
+const SIZE_UNITS = { B: 0, K: 1, M: 2, G: 3, T: 4 };
+
+export function parseSize(value) {
+    if (typeof value === "number" && value >= 0) return value;
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?)(?:I?B)?\s*$/i.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid size "${value}" (expected bytes or e.g. "500 KB", "20 MB")`);
+    }
+    return Math.round(parseFloat(match[1]) * 1024 ** SIZE_UNITS[match[2].toUpperCase() || "B"]);
+}
+
+// Validates the "budgets" section; every entry gets a path matcher and its
+// sizes in bytes
+export function normalizeBudgets(budgets = []) {
+    if (!Array.isArray(budgets)) {
+        throw new Error(`"budgets" must be a list`);
+    }
+
+    return budgets.map((budget, index) => {
+        if (typeof budget !== "object" || budget === null) {
+            throw new Error(`Budget ${index + 1} must be an object`);
+        }
+        const limits = Object.keys(BUDGET_LIMITS).filter(limit => budget[limit] !== undefined);
+        if (limits.length === 0) {
+            throw new Error(`Budget ${index + 1} needs one of ${Object.keys(BUDGET_LIMITS).join(", ")}`);
+        }
+
+        const normalized = { path: budget.path || "**", matches: picomatch(budget.path || "**", { dot: true }) };
+        limits.forEach(limit => {
+            if (limit === "maxFiles") {
+                if (!(budget.maxFiles >= 0)) {
+                    throw new Error(`Budget ${index + 1}: "maxFiles" must be a number`);
+                }
+                normalized.maxFiles = budget.maxFiles;
+            } else {
+                try {
+                    normalized[limit] = parseSize(budget[limit]);
+                } catch (error) {
+                    throw new Error(`Budget ${index + 1}: ${error.message}`);
+                }
+            }
+        });
+        return normalized;
+    });
+}
+
+// One row per limit: { path, limit, max, usage, exceeded }, where rows for
+// maxFileSize also name the largest matching file
+export function evaluateBudgets(fileInfos, budgets) {
+    const rows = [];
+
+    budgets.forEach(budget => {
+        const files = fileInfos.filter(fileInfo =>
+            !fileInfo.isDirectory && budget.matches(fileInfo.path.split(path.sep).join("/")));
+
+        Object.keys(BUDGET_LIMITS).forEach(limit => {
+            if (budget[limit] === undefined) return;
+
+            const row = { path: budget.path, limit, max: budget[limit] };
+            if (limit === "maxSize") {
+                row.usage = files.reduce((total, fileInfo) => total + fileInfo.size, 0);
+            } else if (limit === "maxFiles") {
+                row.usage = files.length;
+            } else {
+                const largest = files.reduce((max, fileInfo) => (!max || fileInfo.size > max.size ? fileInfo : max), null);
+                row.usage = largest ? largest.size : 0;
+                row.file = largest ? largest.path : null;
+            }
+            row.exceeded = row.usage > row.max;
+            rows.push(row);
+        });
+    });
+
+    return rows;
+}
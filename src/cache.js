@@ -0,0 +1,104 @@
+import { promises as fsPromises } from "fs";
+import path from "path";
+import { CACHE_DIR, CACHE_VERSION } from "./constants.js";
+
+// Per-file results that are expensive to compute (line counts, content
+// hashes, imports), kept in .repostruc-cache/ of the analyzed root between
+// runs. An entry is reused while the file's size and mtime are unchanged.
+// Entries are still stat()ed every run; that is how changes are noticed.
+
+const CACHED_FIELDS = ["loc", "hash", "imports"];
+
+export class AnalysisCache {
+    constructor(root) {
+        this.root = path.resolve(root);
+        this.file = path.join(this.root, CACHE_DIR, "analysis.json");
+        this.entries = {};
+        this.warnings = [];
+    }
+
+    async load() {
+        let content;
+        try {
+            content = await fsPromises.readFile(this.file, "utf8");
+        } catch {
+            return this;
+        }
+
+        try {
+            const json = JSON.parse(content);
+            // Results of other versions may have been computed differently
+            if (json.version === CACHE_VERSION && json.entries) {
+                this.entries = json.entries;
+            }
+        } catch (error) {
+            this.warnings.push(`Ignoring unreadable cache ${this.file}: ${error.message}`);
+        }
+        return this;
+    }
+
+    // The cached entry for a fileInfo, unless its size or mtime changed
+    lookup(fileInfo) {
+        const entry = this.entries[toKey(fileInfo.path)];
+        if (!entry || fileInfo.isDirectory || !fileInfo.modified) return null;
+        if (entry.size !== fileInfo.size || entry.mtime !== fileInfo.modified.getTime()) return null;
+        return entry;
+    }
+
+    // Copies the cached `fields` (of "loc", "hash" and "imports") onto the
+    // fileInfo when its entry is still valid
+    restore(fileInfo, fields) {
+        const entry = this.lookup(fileInfo);
+        if (!entry) return;
+        fields.forEach(field => {
+            if (entry[field] !== undefined && fileInfo[field] === undefined) {
+                fileInfo[field] = entry[field];
+            }
+        });
+    }
+
+    // Replaces the cache with the results on `fileInfos`. Results this run
+    // did not compute are kept for files that did not change; files that
+    // are gone or have nothing worth caching are dropped.
+    async save(fileInfos) {
+        const entries = {};
+        fileInfos.forEach(fileInfo => {
+            if (fileInfo.isDirectory || !fileInfo.modified) return;
+            const entry = { ...this.lookup(fileInfo), size: fileInfo.size, mtime: fileInfo.modified.getTime() };
+            CACHED_FIELDS.forEach(field => {
+                if (fileInfo[field] !== undefined && fileInfo[field] !== null) entry[field] = fileInfo[field];
+            });
+            if (CACHED_FIELDS.some(field => entry[field] !== undefined)) {
+                entries[toKey(fileInfo.path)] = entry;
+            }
+        });
+
+        try {
+            await fsPromises.mkdir(path.dirname(this.file), { recursive: true });
+            // Written next to the cache and renamed, so a crash never leaves
+            // half a file behind
+            const temp = `${this.file}.${process.pid}.tmp`;
+            await fsPromises.writeFile(temp, JSON.stringify({ version: CACHE_VERSION, entries }), "utf8");
+            await fsPromises.rename(temp, this.file);
+            this.entries = entries;
+        } catch (error) {
+            this.warnings.push(`Could not write cache ${this.file}: ${error.message}`);
+        }
+    }
+
+    getWarnings() {
+        return this.warnings;
+    }
+}
+
+// Removes the cache of `root`; resolves whether there was one
+export async function clearCache(root) {
+    const dir = path.join(path.resolve(root), CACHE_DIR);
+    const exists = await fsPromises.access(dir).then(() => true, () => false);
+    await fsPromises.rm(dir, { recursive: true, force: true });
+    return exists;
+}
+
+function toKey(file) {
+    return file.split(path.sep).join("/");
+}
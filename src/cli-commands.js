@@ -1,56 +1,112 @@
 import fs from "fs";
 import { promises as fsPromises } from "fs";
+import path from "path";
 import chalk from "chalk";
-import { CONFIG_FILE, DEFAULT_CONFIG } from "./constants.js";
+import stripAnsi from "strip-ansi";
+import { CONFIG_FILE, DEFAULT_CONFIG, BUDGET_WALK_SETTINGS } from "./constants.js";
 import { checkGitRepository } from "./git-utils.js";
+import { ConfigManager } from "./config-manager.js";
+import { loadSide, diffSnapshots } from "./diff.js";
+import { getDiffFormatter } from "./formatters/diff-formatter.js";
+import { getLintFormatter } from "./formatters/lint-formatter.js";
+import { getBudgetFormatter, countExceeded } from "./formatters/budget-formatter.js";
+import { getVerifyFormatter } from "./formatters/verify-formatter.js";
+import { loadManifest, getManifestSettings, verifyManifest } from "./manifest.js";
+import { findInjectBlocks, wrapBlockOutput, replaceInjectBlocks } from "./inject.js";
+import { clearCache } from "./cache.js";
+import { Analyzer } from "./analyzer.js";
+import { GitIgnore } from "./gitignore.js";
+import { normalizeRules, lintStructure } from "./lint.js";
+import { listFormatters, findFormatter, formatResults } from "./formatters/index.js";
+import { loadFormatPlugins } from "./formatters/plugins.js";
+import { TableFormatter, TABLE_COLUMNS } from "./formatters/table-formatter.js";
 
-export async function initCommand() {
+export async function initCommand(directory = ".") {
+    const configPath = path.join(directory, CONFIG_FILE);
     try {
-        const exists = await fsPromises.access(CONFIG_FILE).then(() => true).catch(() => false);
+        const exists = await fsPromises.access(configPath).then(() => true).catch(() => false);
         if (exists) {
-            console.log(chalk.yellow(`Configuration file ${CONFIG_FILE} already exists.`));
+            console.log(chalk.yellow(`Configuration file ${configPath} already exists.`));
             return;
         }
         
-        await fsPromises.writeFile(CONFIG_FILE, JSON.stringify(DEFAULT_CONFIG, null, 2));
-        console.log(chalk.green(`✓ Created ${CONFIG_FILE} with default configuration`));
+        await fsPromises.writeFile(configPath, JSON.stringify(DEFAULT_CONFIG, null, 2));
+        console.log(chalk.green(`✓ Created ${configPath} with default configuration`));
     } catch (error) {
         console.error(chalk.red("Error creating config file:"), error.message);
         process.exit(1);
     }
 }
 
-export async function checkCommand() {
+export async function checkCommand(directory = ".", options = {}) {
     try {
         console.log(chalk.blue("Checking repostruc configuration...\n"));
         
-        // Check for config file
-        if (fs.existsSync(CONFIG_FILE)) {
-            console.log(chalk.green("✓"), "Configuration file found:", CONFIG_FILE);
-            try {
-                const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-                console.log(chalk.gray("  Current configuration:"));
-                Object.entries(config).forEach(([key, value]) => {
-                    console.log(chalk.gray(`    ${key}:`), value);
-                });
-            } catch (error) {
-                console.log(chalk.red("✗"), "Invalid configuration file:", error.message);
-            }
+        // Find the configuration the way an analysis of `directory` would
+        const configManager = new ConfigManager();
+        let config = await configManager.loadConfig(directory);
+        const warnings = configManager.getWarnings();
+        const relative = (file) => path.relative(".", file) || file;
+        if (warnings.length > 0) {
+            console.log(chalk.red("✗"), "Invalid configuration file:", configManager.configFile);
+            warnings.forEach(warning => console.log(chalk.gray(`  ${warning}`)));
+        } else if (configManager.configFile) {
+            const [nearest, ...extended] = configManager.files.map(relative);
+            console.log(chalk.green("✓"), "Configuration file found:", nearest);
+            extended.forEach(file => console.log(chalk.gray(`  extends ${file}`)));
         } else {
             console.log(chalk.yellow("!"), "No configuration file found");
         }
+
+        // Profiles, with the settings each one overrides
+        const profiles = Object.entries(config.profiles || {});
+        if (profiles.length > 0) {
+            console.log(chalk.gray("  Profiles:"));
+            profiles.forEach(([name, profile]) => {
+                const settings = Object.entries(profile || {}).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+                console.log(chalk.gray(`    ${name}:`), settings.join(", ") || "(empty)", chalk.gray(`(${relative(configManager.profileSources[name])})`));
+            });
+        }
+        if (options.profile) {
+            config = configManager.applyProfile(config, options.profile);
+        }
+
+        // Effective settings and where each one came from
+        console.log(chalk.gray(`  Effective configuration${options.profile ? ` (profile ${options.profile})` : ""}:`));
+        const keys = [...new Set([...Object.keys(DEFAULT_CONFIG), ...Object.keys(config)])]
+            .filter(key => key !== "profiles");
+        const width = Math.max(...keys.map(key => key.length)) + 1;
+        keys.forEach(key => {
+            const source = configManager.sources[key];
+            const value = key in config ? config[key] : DEFAULT_CONFIG[key];
+            let origin = source ? relative(source) : "default";
+            if (configManager.profileKeys.has(key)) origin += `, profile ${options.profile}`;
+            console.log(
+                chalk.gray(`    ${`${key}:`.padEnd(width + 1)}`),
+                JSON.stringify(value),
+                chalk.gray(`(${origin})`)
+            );
+        });
         
-        // Check for .gitignore
-        if (fs.existsSync(".gitignore")) {
-            console.log(chalk.green("✓"), ".gitignore file found");
-            const gitignoreLines = fs.readFileSync(".gitignore", 'utf8').split('\n').filter(line => line.trim() && !line.startsWith('#'));
-            console.log(chalk.gray(`  ${gitignoreLines.length} active patterns`));
+        // Ignore files the analysis would read: global excludes, info/exclude,
+        // ancestor and nested .gitignore files
+        const settings = configManager.applyConfiguration({}, config);
+        const gitignore = await new GitIgnore(directory, settings).load();
+        const ignoreFiles = gitignore.getFiles();
+        if (!settings.useGitignore) {
+            console.log(chalk.yellow("!"), "Ignore files are disabled (gitignore: false)");
+        } else if (ignoreFiles.length > 0) {
+            console.log(chalk.green("✓"), `${ignoreFiles.length} ignore file${ignoreFiles.length === 1 ? "" : "s"} found`);
+            ignoreFiles.forEach(({ file, patterns }) => {
+                console.log(chalk.gray(`  ${relative(file)}: ${patterns} active pattern${patterns === 1 ? "" : "s"}`));
+            });
         } else {
             console.log(chalk.yellow("!"), "No .gitignore file found");
         }
+        gitignore.getWarnings().forEach(warning => console.log(chalk.yellow("!"), warning));
         
         // Check git repository
-        const isGitRepo = await checkGitRepository();
+        const isGitRepo = await checkGitRepository(directory);
         if (isGitRepo) {
             console.log(chalk.green("✓"), "Git repository detected");
         } else {
@@ -59,12 +115,12 @@ export async function checkCommand() {
         
         // Check write permissions
         try {
-            const testFile = '.repostruc-test-' + Date.now();
+            const testFile = path.join(directory, '.repostruc-test-' + Date.now());
             fs.writeFileSync(testFile, '');
             fs.unlinkSync(testFile);
             console.log(chalk.green("✓"), "Write permissions OK");
         } catch {
-            console.log(chalk.red("✗"), "No write permissions in current directory");
+            console.log(chalk.red("✗"), "No write permissions in analyzed directory");
         }
         
         console.log(chalk.blue("\nAll checks complete!"));
@@ -72,4 +128,288 @@ export async function checkCommand() {
         console.error(chalk.red("Error during check:"), error.message);
         process.exit(1);
     }
-}
\ No newline at end of file
+}
+
+export async function formatsCommand(directory = ".", options = {}) {
+    try {
+        const configManager = new ConfigManager();
+        const config = await configManager.loadConfig(directory);
+        const settings = configManager.applyConfiguration(options, config);
+        configManager.getWarnings().forEach(warning => console.error(chalk.yellow(warning)));
+
+        await loadFormatPlugins(settings.formatPlugins);
+
+        const formats = listFormatters();
+        const width = Math.max(...formats.map(format => format.name.length)) + 2;
+        console.log(chalk.blue("Available formats:\n"));
+        formats.forEach(format => {
+            const source = format.source === "built-in" ? "" : chalk.gray(`(${format.source})`);
+            console.log(`  ${chalk.green(format.name.padEnd(width))}${[format.description, source].filter(Boolean).join(" ")}`);
+        });
+    } catch (error) {
+        console.error(chalk.red("Error loading formats:"), error.message);
+        process.exit(1);
+    }
+}
+
+// Exit codes follow diff(1): 0 = unchanged, 1 = changed (with --exit-code),
+// 2 = the comparison itself failed
+export async function diffCommand(before, after, options) {
+    try {
+        const loadSettings = async (dir) => {
+            const configManager = new ConfigManager();
+            const config = await configManager.loadConfig(dir);
+            return { ...configManager.applyConfiguration(options, config), showProgress: false };
+        };
+
+        const beforeSide = await loadSide(before, loadSettings, options.repo);
+        const afterSide = await loadSide(after, loadSettings, options.repo);
+        const diff = await diffSnapshots(beforeSide, afterSide);
+
+        const formatter = getDiffFormatter(options.format, options);
+        const output = formatter.format(diff);
+
+        if (options.output) {
+            await fsPromises.writeFile(options.output, stripAnsi(output), "utf8");
+            console.error(chalk.green(`✓ Diff saved to ${options.output}`));
+        } else {
+            console.log(output);
+        }
+
+        if (options.exitCode && diff.changed) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(chalk.red("Error during diff:"), error.message);
+        process.exit(2);
+    }
+}
+
+// Exit codes: 0 = no errors (warnings allowed), 1 = rule errors,
+// 2 = linting itself failed
+export async function lintCommand(directory = ".", options = {}) {
+    try {
+        const configManager = new ConfigManager();
+        const config = await configManager.loadConfig(directory);
+        const settings = configManager.applyConfiguration(options, config);
+        configManager.getWarnings().forEach(warning => console.error(chalk.yellow(warning)));
+
+        const rules = normalizeRules(settings.lintRules);
+        if (Object.keys(rules).length === 0) {
+            console.error(chalk.yellow(`No lint rules configured; add a "rules" section to the configuration`));
+        }
+
+        // Display settings do not limit what is checked: hidden files and
+        // deep paths are linted too (ignore patterns still apply)
+        const analyzer = new Analyzer({ ...settings, maxDepth: Infinity, showHidden: true, showProgress: false });
+        const result = await analyzer.analyze(directory);
+        analyzer.getErrors().forEach(error => console.error(chalk.yellow(error)));
+
+        const report = { directory: path.resolve(directory), violations: lintStructure(result, rules) };
+        const output = getLintFormatter(options.format, options).format(report);
+
+        if (options.output) {
+            await fsPromises.writeFile(options.output, stripAnsi(output), "utf8");
+            console.error(chalk.green(`✓ Lint report saved to ${options.output}`));
+        } else {
+            console.log(output);
+        }
+
+        if (report.violations.some(violation => violation.severity === "error")) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(chalk.red("Error during lint:"), error.message);
+        process.exit(2);
+    }
+}
+
+// Exit codes: 0 = within budget, 1 = a budget is exceeded, 2 = the check
+// itself failed
+export async function budgetCommand(directory = ".", options = {}) {
+    try {
+        const configManager = new ConfigManager();
+        const config = await configManager.loadConfig(directory);
+        const settings = configManager.applyConfiguration({ ...options, checkBudgets: true }, config);
+        configManager.getWarnings().forEach(warning => console.error(chalk.yellow(warning)));
+
+        if (settings.budgets.length === 0) {
+            console.error(chalk.yellow(`No budgets configured; add a "budgets" section to the configuration`));
+        }
+
+        // Hidden files and deep paths count against budgets too (ignore
+        // patterns still apply)
+        const analyzer = new Analyzer({ ...settings, ...BUDGET_WALK_SETTINGS, showProgress: false });
+        const result = await analyzer.analyze(directory);
+        analyzer.getErrors().forEach(error => console.error(chalk.yellow(error)));
+
+        const report = { directory: path.resolve(directory), budgets: result.stats.budgets || [] };
+        const output = getBudgetFormatter(options.format, options).format(report);
+
+        if (options.output) {
+            await fsPromises.writeFile(options.output, stripAnsi(output), "utf8");
+            console.error(chalk.green(`✓ Budget report saved to ${options.output}`));
+        } else {
+            console.log(output);
+        }
+
+        if (countExceeded(report.budgets) > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(chalk.red("Error during budget check:"), error.message);
+        process.exit(2);
+    }
+}
+
+// Exit codes: 0 = the directory matches, 1 = it differs, 2 = verification
+// itself failed
+export async function verifyCommand(manifestFile, directory = ".", options = {}) {
+    try {
+        const manifest = await loadManifest(manifestFile);
+        if (manifest.ref) {
+            console.error(chalk.yellow(`Manifest was generated from revision ${manifest.ref}; content hashes are not compared`));
+        }
+
+        // Walk with the settings the manifest was generated with
+        const analyzer = new Analyzer(getManifestSettings(manifest, manifestFile));
+        const result = await analyzer.analyze(directory);
+        [...analyzer.getErrors(), ...analyzer.getWarnings()].forEach(issue => console.error(chalk.yellow(issue)));
+
+        const report = {
+            manifest: path.resolve(manifestFile),
+            directory: path.resolve(directory),
+            ...verifyManifest(manifest, result, { checkMode: options.mode })
+        };
+        const output = getVerifyFormatter(options.format, options).format(report);
+
+        if (options.output) {
+            await fsPromises.writeFile(options.output, stripAnsi(output), "utf8");
+            console.error(chalk.green(`✓ Verification report saved to ${options.output}`));
+        } else {
+            console.log(output);
+        }
+
+        if (!report.ok) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(chalk.red("Error during verify:"), error.message);
+        process.exit(2);
+    }
+}
+
+export async function cacheClearCommand(directory = ".") {
+    try {
+        if (await clearCache(directory)) {
+            console.log(chalk.green(`✓ Cleared the analysis cache of ${path.resolve(directory)}`));
+        } else {
+            console.log(chalk.yellow(`No analysis cache in ${path.resolve(directory)}`));
+        }
+    } catch (error) {
+        console.error(chalk.red("Error clearing cache:"), error.message);
+        process.exit(1);
+    }
+}
+
+// Exit codes: 0 = every block is up to date (or was updated), 1 = --check
+// found stale blocks, 2 = injecting itself failed
+export async function injectCommand(files, options = {}) {
+    try {
+        let stale = 0;
+        for (const file of files) {
+            const content = await fsPromises.readFile(file, "utf8");
+            let blocks;
+            try {
+                blocks = findInjectBlocks(content);
+            } catch (error) {
+                throw new Error(`${file}: ${error.message}`);
+            }
+            if (blocks.length === 0) {
+                console.error(chalk.yellow(`No <!-- repostruc:start --> markers in ${file}`));
+                continue;
+            }
+
+            const outputs = [];
+            for (const block of blocks) {
+                outputs.push(await renderInjectBlock(file, block, options));
+            }
+            const changed = blocks.filter((block, index) => block.content !== outputs[index]);
+
+            if (changed.length === 0) {
+                console.error(chalk.green(`✓ ${file} is up to date`));
+            } else if (options.check) {
+                changed.forEach(block => console.error(chalk.red(`✗ ${file}:${block.line} is out of date`)));
+                stale += changed.length;
+            } else {
+                await fsPromises.writeFile(file, replaceInjectBlocks(content, blocks, outputs), "utf8");
+                console.error(chalk.green(`✓ Updated ${changed.length} of ${blocks.length} ${blocks.length === 1 ? "block" : "blocks"} in ${file}`));
+            }
+        }
+
+        if (stale > 0) {
+            console.error(chalk.yellow(`Run "repostruc inject ${files.join(" ")}" to update`));
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(chalk.red("Error during inject:"), error.message);
+        process.exit(2);
+    }
+}
+
+// Output for one block. Its directory (`dir`) is relative to the document,
+// configuration comes from that directory, and marker settings override
+// both the configuration and the command line.
+// Whether output with these settings includes the document's size, lines,
+// hash, modification time or git state
+function showsDocumentChanges(settings, Formatter) {
+    if (settings.showSizes || settings.showStats || settings.showLoc || settings.showTimestamps ||
+        settings.showGitStatus || settings.findDuplicates || settings.sortBy === "size" || Formatter.contentHashes) {
+        return true;
+    }
+    if (Formatter.prototype instanceof TableFormatter) {
+        const columns = settings.columns || Object.keys(TABLE_COLUMNS);
+        return columns.some(column => ["size", "mtime", "gitStatus"].includes(column));
+    }
+    return false;
+}
+
+async function renderInjectBlock(file, block, options) {
+    const { dir = ".", ...blockOptions } = block.settings;
+    const directory = path.join(path.dirname(file), String(dir));
+
+    const configManager = new ConfigManager();
+    const config = await configManager.loadConfig(directory);
+    const settings = configManager.applyConfiguration({
+        profile: options.profile,
+        ...blockOptions,
+        // The configured format is meant for output files
+        format: blockOptions.format || "txt"
+    }, config);
+    configManager.getWarnings().forEach(warning => console.error(chalk.yellow(warning)));
+
+    await loadFormatPlugins(settings.formatPlugins);
+    const { Formatter } = findFormatter(settings.format);
+    if (Formatter.embeddable === false) {
+        throw new Error(`${file}:${block.line}: format "${settings.format}" cannot be embedded in a document`);
+    }
+
+    // The document is only left out of its own tree when the block shows
+    // something of it that changes with every injection
+    const analyzer = new Analyzer({
+        ...settings,
+        outputFile: showsDocumentChanges(settings, Formatter) ? file : null,
+        hashFiles: Boolean(Formatter.contentHashes),
+        showProgress: false
+    });
+    const result = await analyzer.analyze(directory);
+    analyzer.getErrors().forEach(error => console.error(chalk.yellow(error)));
+
+    const output = formatResults(settings.format, {
+        ...settings,
+        colorOutput: false,
+        embedded: true,
+        rootLabel: String(dir)
+    }, [{ ...result, directory, errors: analyzer.getErrors(), warnings: analyzer.getWarnings() }]);
+    return wrapBlockOutput(output, settings.format);
+}
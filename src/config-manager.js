@@ -1,25 +1,95 @@
 import fs from "fs";
 import { promises as fsPromises } from "fs";
-import { CONFIG_FILE, DEFAULT_OUTPUT, DEFAULT_IGNORE, DEFAULT_CONFIG } from "./constants.js";
+import { createRequire } from "module";
+import path from "path";
+import { pathToFileURL } from "url";
+import YAML from "yaml";
+import { CONFIG_FILE, CONFIG_FILES, DEFAULT_OUTPUT, DEFAULT_IGNORE, DEFAULT_CONFIG } from "./constants.js";
+import { isPluginPath } from "./formatters/plugins.js";
+import { normalizeBudgets } from "./budgets.js";
+import { parseColumns } from "./formatters/table-formatter.js";
 
 export class ConfigManager {
     constructor() {
         this.warnings = [];
+        this.configDir = path.resolve(".");
+        this.configFile = null;
+        // Files making up the configuration, nearest first, and the file
+        // each setting was read from
+        this.files = [];
+        this.sources = {};
+        // Profile name -> file defining it, and the settings a profile set
+        this.profileSources = {};
+        this.profileKeys = new Set();
     }
 
-    loadConfig() {
+    // Walks up from `dir` to the nearest configuration file and layers it
+    // over the files it extends: nearest config > extended > defaults
+    async loadConfig(dir = ".") {
+        this.files = [];
+        this.sources = {};
+        this.profileSources = {};
+        this.configFile = findConfigFile(path.resolve(dir));
+        if (!this.configFile) {
+            return {};
+        }
+
+        this.configDir = path.dirname(this.configFile);
         try {
-            if (fs.existsSync(CONFIG_FILE)) {
-                const configContent = fs.readFileSync(CONFIG_FILE, 'utf8');
-                return JSON.parse(configContent);
-            }
+            return await this.loadLayers(this.configFile, []);
         } catch (error) {
             this.warnings.push(`Warning: Failed to load config file: ${error.message}`);
+            this.files = [];
+            this.sources = {};
+            this.profileSources = {};
+            return {};
         }
-        return {};
+    }
+
+    async loadLayers(file, chain) {
+        if (chain.includes(file)) {
+            throw new Error(`Circular "extends": ${[...chain, file].join(" -> ")}`);
+        }
+        this.files.push(file);
+
+        const { extends: bases, ...own } = await readConfigFile(file);
+        let config = {};
+        for (const base of [].concat(bases || [])) {
+            const baseFile = resolveExtends(base, path.dirname(file));
+            config = mergeLayers(config, await this.loadLayers(baseFile, [...chain, file]));
+        }
+
+        Object.keys(own).forEach(key => {
+            this.sources[key] = file;
+        });
+        Object.keys(own.profiles || {}).forEach(name => {
+            this.profileSources[name] = file;
+        });
+        return mergeLayers(config, own);
+    }
+
+    // A named profile's settings override the rest of the configuration;
+    // command-line options still override the profile
+    applyProfile(config, name) {
+        const profiles = config.profiles || {};
+        if (!Object.prototype.hasOwnProperty.call(profiles, name)) {
+            const available = Object.keys(profiles);
+            throw new Error(`Unknown profile "${name}" (${available.length > 0 ? `available: ${available.join(", ")}` : "no profiles configured"})`);
+        }
+
+        const { profiles: nested, extends: bases, ...settings } = profiles[name] || {};
+        Object.keys(settings).forEach(key => {
+            this.sources[key] = this.profileSources[name];
+            this.profileKeys.add(key);
+        });
+        return { ...config, ...settings };
     }
 
     applyConfiguration(options, config = {}) {
+        if (options.profile) {
+            config = this.applyProfile(config, options.profile);
+        }
+
         const result = {
             outputFile: options.output || config.output || DEFAULT_OUTPUT,
             showStats: options.stats !== undefined ? options.stats : (config.stats || false),
@@ -35,19 +105,39 @@ export class ConfigManager {
             excludeEmpty: options.excludeEmpty || config.excludeEmpty || false,
             followSymlinks: options.followSymlinks || config.followSymlinks || false,
             showGitStatus: options.gitStatus || config.gitStatus || false,
+            showGitHistory: options.gitHistory || config.gitHistory || false,
+            historyWindow: options.historyWindow || config.historyWindow || DEFAULT_CONFIG.historyWindow,
+            showLoc: options.loc || config.loc || false,
+            findDuplicates: options.duplicates || config.duplicates || false,
+            showDeps: options.deps || config.deps || false,
+            showWorkspaces: options.workspaces || config.workspaces || false,
+            packageNames: options.package ? options.package.split(",") : null,
+            useCache: options.cache !== undefined ? options.cache : (config.cache || false),
+            embedDiagram: options.diagram || config.diagram || false,
+            columns: parseColumns(options.columns || config.columns),
+            sortBy: options.sort || config.sort || 'name',
             colorFile: options.colorFile || false,
             colorTerminal: options.color !== false && (config.color !== false),
             hideConfig: config.hideConfig || false,
-            file: options.file !== false && (config.file !== false)
+            file: options.file !== false && (config.file !== false),
+            ref: options.ref || null,
+            lintRules: config.rules || {},
+            checkBudgets: options.checkBudgets || false,
+            showProgress: true
         };
 
+        if (!['name', 'size'].includes(result.sortBy)) {
+            this.warnings.push(`Warning: Unknown sort key "${result.sortBy}", sorting by name`);
+            result.sortBy = 'name';
+        }
+
         // Handle ignore patterns
         const cliIgnore = options.ignore ? options.ignore.split(",") : [];
         const configIgnore = config.ignore || [];
         result.ignorePatterns = [...new Set([...configIgnore, ...cliIgnore])];
         
         // Add default patterns only if not explicitly disabled
-        if (!options.defaultPatterns && !config.defaultPatterns) {
+        if (options.defaultPatterns !== false && config.defaultPatterns !== false) {
             result.ignorePatterns.push(...DEFAULT_IGNORE);
         }
         
@@ -59,10 +149,33 @@ export class ConfigManager {
             result.includePatterns = ["**/*"];
         }
 
+        // Format plugin paths are relative to the file or shell naming them
+        const cliPlugins = options.formatPlugin ? options.formatPlugin.split(",") : [];
+        const pluginDir = this.sources.formatPlugins ? path.dirname(this.sources.formatPlugins) : this.configDir;
+        result.formatPlugins = [
+            ...(config.formatPlugins || []).map(specifier => ({ specifier, baseDir: pluginDir })),
+            ...cliPlugins.map(specifier => ({ specifier, baseDir: process.cwd() }))
+        ];
+
+        // Budgets are only evaluated when asked for
+        result.budgets = result.checkBudgets ? normalizeBudgets(config.budgets) : [];
+
         return result;
     }
 
-    async saveConfig(options) {
+    // Writes the options as the base configuration, or with `profile` as
+    // that profile; other content of an existing file is kept. Resolves the
+    // path written to.
+    async saveConfig(options, dir = ".", profile = null) {
+        // A new file would take precedence over the configuration found
+        // elsewhere (another format, package.json or a parent directory)
+        // and drop its settings and profiles
+        const configPath = path.join(path.resolve(dir), CONFIG_FILE);
+        const current = findConfigFile(path.resolve(dir));
+        if (current && current !== configPath) {
+            throw new Error(`Configuration is read from ${current}; edit that file instead, or create ${configPath} with "extends" pointing to it`);
+        }
+
         const config = {
             output: options.output || DEFAULT_CONFIG.output,
             stats: options.stats || DEFAULT_CONFIG.stats,
@@ -78,17 +191,128 @@ export class ConfigManager {
             excludeEmpty: options.excludeEmpty || DEFAULT_CONFIG.excludeEmpty,
             followSymlinks: options.followSymlinks || DEFAULT_CONFIG.followSymlinks,
             gitStatus: options.gitStatus || DEFAULT_CONFIG.gitStatus,
+            gitHistory: options.gitHistory || DEFAULT_CONFIG.gitHistory,
+            historyWindow: options.historyWindow || DEFAULT_CONFIG.historyWindow,
+            loc: options.loc || DEFAULT_CONFIG.loc,
+            duplicates: options.duplicates || DEFAULT_CONFIG.duplicates,
+            deps: options.deps || DEFAULT_CONFIG.deps,
+            workspaces: options.workspaces || DEFAULT_CONFIG.workspaces,
+            cache: options.cache || DEFAULT_CONFIG.cache,
+            diagram: options.diagram || DEFAULT_CONFIG.diagram,
+            columns: options.columns ? parseColumns(options.columns) : DEFAULT_CONFIG.columns,
+            sort: options.sort || DEFAULT_CONFIG.sort,
             color: options.color !== false,
             ignore: options.ignore ? options.ignore.split(",") : DEFAULT_CONFIG.ignore,
             include: options.include ? options.include.split(",") : DEFAULT_CONFIG.include,
+            formatPlugins: options.formatPlugin
+                ? options.formatPlugin.split(",").map(specifier => toConfigPath(specifier, dir))
+                : DEFAULT_CONFIG.formatPlugins,
             defaultPatterns: options.defaultPatterns !== false,
             file: options.file !== false
         };
 
-        await fsPromises.writeFile(CONFIG_FILE, JSON.stringify(config, null, 2));
+        let existing = {};
+        try {
+            existing = JSON.parse(await fsPromises.readFile(configPath, "utf8"));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                throw new Error(`Cannot update ${configPath}: ${error.message}`);
+            }
+        }
+
+        let content;
+        if (profile) {
+            // A profile only records what differs from the defaults, so it
+            // does not reset settings of the base configuration
+            const settings = Object.fromEntries(Object.entries(config)
+                .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(DEFAULT_CONFIG[key])));
+            content = { ...existing, profiles: { ...existing.profiles, [profile]: settings } };
+        } else {
+            content = { ...existing, ...config };
+        }
+
+        await fsPromises.writeFile(configPath, JSON.stringify(content, null, 2));
+        return configPath;
     }
 
     getWarnings() {
         return this.warnings;
     }
-}
\ No newline at end of file
+}
+
+// Plugin paths given on the command line are relative to the working
+// directory; in the saved configuration they are relative to `dir`
+function toConfigPath(specifier, dir) {
+    if (!isPluginPath(specifier) || path.isAbsolute(specifier)) return specifier;
+    const relative = path.relative(dir, path.resolve(specifier)).split(path.sep).join("/");
+    return relative.startsWith(".") ? relative : `./${relative}`;
+}
+
+// Like a shallow merge, except that profiles are merged by name
+function mergeLayers(lower, upper) {
+    const merged = { ...lower, ...upper };
+    if (lower.profiles && upper.profiles) {
+        merged.profiles = { ...lower.profiles, ...upper.profiles };
+    }
+    return merged;
+}
+
+function findConfigFile(startDir) {
+    for (let dir = startDir; ; dir = path.dirname(dir)) {
+        const found = CONFIG_FILES
+            .map(name => path.join(dir, name))
+            .find(file => fs.existsSync(file) && (path.basename(file) !== "package.json" || hasPackageConfig(file)));
+        if (found) return found;
+        if (path.dirname(dir) === dir) return null;
+    }
+}
+
+function hasPackageConfig(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8")).repostruc !== undefined;
+    } catch {
+        return false;
+    }
+}
+
+async function readConfigFile(file) {
+    let config;
+    try {
+        const ext = path.extname(file);
+        if (ext === ".js" || ext === ".mjs" || ext === ".cjs") {
+            config = (await import(pathToFileURL(file).href)).default;
+        } else {
+            const content = await fsPromises.readFile(file, "utf8");
+            if (ext === ".yaml" || ext === ".yml") {
+                config = YAML.parse(content);
+            } else if (path.basename(file) === "package.json") {
+                config = JSON.parse(content).repostruc;
+            } else {
+                config = JSON.parse(content);
+            }
+        }
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+
+    if (config === null || config === undefined) {
+        return {};
+    }
+    if (typeof config !== "object" || Array.isArray(config)) {
+        throw new Error(`${file} must contain an object of settings`);
+    }
+    return config;
+}
+
+// `extends` takes a path relative to the extending file or a package name,
+// resolved from that file's directory
+function resolveExtends(base, dir) {
+    if (isPluginPath(base)) {
+        return path.resolve(dir, base);
+    }
+    try {
+        return createRequire(path.join(dir, "index.js")).resolve(base);
+    } catch {
+        throw new Error(`Cannot find config "${base}" extended from ${dir}`);
+    }
+}
@@ -1,6 +1,29 @@
 export const DEFAULT_OUTPUT = "repostruc-output.txt";
 export const CONFIG_FILE = ".repostrucrc.json";
 
+// Directory of the analysis cache (--cache) inside each analyzed root; bump
+// CACHE_VERSION when cached results would be computed differently
+export const CACHE_DIR = ".repostruc-cache";
+export const CACHE_VERSION = 1;
+
+// Configuration files looked for in each directory, first match wins;
+// package.json only counts when it has a "repostruc" key
+export const CONFIG_FILES = [
+    CONFIG_FILE,
+    ".repostrucrc.yaml",
+    ".repostrucrc.yml",
+    "repostruc.config.js",
+    "repostruc.config.mjs",
+    "package.json"
+];
+
+// Walk settings for budgets, which count hidden files and paths below
+// --depth too
+export const BUDGET_WALK_SETTINGS = { maxDepth: Infinity, showHidden: true };
+
+// Quiet period before --watch applies a batch of file system events
+export const WATCH_DEBOUNCE_MS = 300;
+
 // Default patterns that are always ignored unless --no-default-patterns is used
 export const DEFAULT_IGNORE = [
     "node_modules/**",
@@ -47,7 +70,7 @@ export const DEFAULT_IGNORE = [
 
 // File type categories for better organization
 export const FILE_CATEGORIES = {
-    code: ['.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.c', '.h', '.go', '.rs', '.php', '.rb', '.swift', '.kt'],
+    code: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts', '.py', '.java', '.cpp', '.c', '.h', '.go', '.rs', '.php', '.rb', '.swift', '.kt'],
     web: ['.html', '.css', '.scss', '.sass', '.less'],
     data: ['.json', '.xml', '.yaml', '.yml', '.toml', '.csv'],
     docs: ['.md', '.txt', '.rst', '.tex', '.doc', '.docx', '.pdf'],
@@ -57,6 +80,69 @@ export const FILE_CATEGORIES = {
     archive: ['.zip', '.tar', '.gz', '.rar', '.7z', '.bz2']
 };
 
+// Comment syntax per language, used by --loc
+const C_STYLE = { lineComments: ['//'], blockComments: [['/*', '*/']] };
+const HASH_STYLE = { lineComments: ['#'], blockComments: [] };
+const MARKUP_STYLE = { lineComments: [], blockComments: [['<!--', '-->']] };
+
+export const LANGUAGES = {
+    'JavaScript': { extensions: ['.js', '.mjs', '.cjs', '.jsx'], ...C_STYLE },
+    'TypeScript': { extensions: ['.ts', '.tsx', '.mts', '.cts'], ...C_STYLE },
+    'Python': { extensions: ['.py', '.pyw'], lineComments: ['#'], blockComments: [['"""', '"""'], ["'''", "'''"]] },
+    'Java': { extensions: ['.java'], ...C_STYLE },
+    'Kotlin': { extensions: ['.kt', '.kts'], ...C_STYLE },
+    'Scala': { extensions: ['.scala'], ...C_STYLE },
+    'C': { extensions: ['.c'], ...C_STYLE },
+    'C/C++ Header': { extensions: ['.h', '.hpp', '.hh'], ...C_STYLE },
+    'C++': { extensions: ['.cpp', '.cc', '.cxx'], ...C_STYLE },
+    'C#': { extensions: ['.cs'], ...C_STYLE },
+    'Go': { extensions: ['.go'], ...C_STYLE },
+    'Rust': { extensions: ['.rs'], ...C_STYLE },
+    'Swift': { extensions: ['.swift'], ...C_STYLE },
+    'Dart': { extensions: ['.dart'], ...C_STYLE },
+    'PHP': { extensions: ['.php'], lineComments: ['//', '#'], blockComments: [['/*', '*/']] },
+    'Ruby': { extensions: ['.rb'], lineComments: ['#'], blockComments: [['=begin', '=end']] },
+    'Perl': { extensions: ['.pl', '.pm'], ...HASH_STYLE },
+    'Lua': { extensions: ['.lua'], lineComments: ['--'], blockComments: [['--[[', ']]']] },
+    'SQL': { extensions: ['.sql'], lineComments: ['--'], blockComments: [['/*', '*/']] },
+    'Shell': { extensions: ['.sh', '.bash', '.zsh'], ...HASH_STYLE },
+    'PowerShell': { extensions: ['.ps1'], lineComments: ['#'], blockComments: [['<#', '#>']] },
+    'HTML': { extensions: ['.html', '.htm'], ...MARKUP_STYLE },
+    'XML': { extensions: ['.xml', '.svg'], ...MARKUP_STYLE },
+    'Vue': { extensions: ['.vue'], lineComments: ['//'], blockComments: [['<!--', '-->'], ['/*', '*/']] },
+    'CSS': { extensions: ['.css'], lineComments: [], blockComments: [['/*', '*/']] },
+    'SCSS': { extensions: ['.scss', '.sass'], ...C_STYLE },
+    'Less': { extensions: ['.less'], ...C_STYLE },
+    'Markdown': { extensions: ['.md', '.markdown'], ...MARKUP_STYLE },
+    'JSON': { extensions: ['.json'], lineComments: [], blockComments: [] },
+    'YAML': { extensions: ['.yaml', '.yml'], ...HASH_STYLE },
+    'TOML': { extensions: ['.toml'], ...HASH_STYLE },
+    'INI': { extensions: ['.ini', '.cfg', '.conf'], lineComments: [';', '#'], blockComments: [] },
+    'Dockerfile': { extensions: ['.dockerfile'], filenames: ['Dockerfile'], ...HASH_STYLE },
+    'Makefile': { extensions: ['.mk'], filenames: ['Makefile', 'GNUmakefile'], ...HASH_STYLE }
+};
+
+// Naming conventions for the "naming" lint rule
+export const NAMING_STYLES = {
+    "kebab-case": /^[a-z0-9]+(-[a-z0-9]+)*$/,
+    "snake_case": /^[a-z0-9]+(_[a-z0-9]+)*$/,
+    "camelCase": /^[a-z][a-zA-Z0-9]*$/,
+    "PascalCase": /^[A-Z][a-zA-Z0-9]*$/,
+    "lowercase": /^[a-z0-9]+$/
+};
+
+// Children drawn per directory in mermaid/dot diagrams; the rest are
+// collapsed into one summary node
+export const DIAGRAM_MAX_CHILDREN = 12;
+
+// Entries stat()ed at the same time while walking the working tree, and how
+// often (in entries) the spinner's progress count is refreshed
+export const STAT_CONCURRENCY = 64;
+export const PROGRESS_INTERVAL = 1000;
+
+// Code files whose imports and requires are followed by --deps
+export const DEPENDENCY_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts'];
+
 // Tree drawing characters
 export const TREE_CHARS = {
     INDENT: "  ",
@@ -66,17 +152,40 @@ export const TREE_CHARS = {
     SPACE: "    "
 };
 
-// Git status mappings
+// Git status mappings for the XY columns of `git status --porcelain=v2`
 export const GIT_STATUS_MAP = {
-    'M ': 'modified',
-    'MM': 'modified',
-    'A ': 'added',
-    'AM': 'added',
-    'D ': 'deleted',
-    'R ': 'renamed',
-    'C ': 'copied',
-    '??': 'untracked',
-    '!!': 'ignored'
+    'M': 'modified',
+    'T': 'type-changed',
+    'A': 'added',
+    'D': 'deleted',
+    'R': 'renamed',
+    'C': 'copied',
+    'U': 'unmerged'
+};
+
+// Unmerged XY combinations, as described in git-status(1)
+export const GIT_CONFLICT_MAP = {
+    'DD': 'both-deleted',
+    'AU': 'added-by-us',
+    'UD': 'deleted-by-them',
+    'UA': 'added-by-them',
+    'DU': 'deleted-by-us',
+    'AA': 'both-added',
+    'UU': 'both-modified'
+};
+
+// Single-letter codes used when rendering states, and the order in which a
+// state wins when several apply (e.g. to summarize a directory)
+export const GIT_STATE_CODES = {
+    conflicted: 'U',
+    modified: 'M',
+    'type-changed': 'T',
+    added: 'A',
+    deleted: 'D',
+    renamed: 'R',
+    copied: 'C',
+    untracked: '?',
+    ignored: '!'
 };
 
 // Default configuration
@@ -95,9 +204,61 @@ export const DEFAULT_CONFIG = {
     excludeEmpty: false,
     followSymlinks: false,
     gitStatus: false,
+    gitHistory: false,
+    historyWindow: "90 days ago",
+    loc: false,
+    duplicates: false,
+    deps: false,
+    workspaces: false,
+    cache: false,
+    diagram: false,
+    columns: null,
+    sort: "name",
     color: true,
     ignore: [],
     include: [],
+    formatPlugins: [],
     defaultPatterns: true,
     file: true 
-};
\ No newline at end of file
+};
+
+// Normalized analyzer/formatter settings used by the programmatic API.
+// Mirrors the shape produced by ConfigManager.applyConfiguration.
+export const DEFAULT_SETTINGS = {
+    outputFile: null,
+    showStats: false,
+    showFiles: false,
+    showSizes: false,
+    useGitignore: true,
+    showHidden: false,
+    maxDepth: Infinity,
+    format: "txt",
+    groupByType: false,
+    showTimestamps: false,
+    showPermissions: false,
+    excludeEmpty: false,
+    followSymlinks: false,
+    showGitStatus: false,
+    showGitHistory: false,
+    historyWindow: "90 days ago",
+    showLoc: false,
+    findDuplicates: false,
+    hashFiles: false,
+    showDeps: false,
+    showWorkspaces: false,
+    packageNames: null,
+    useCache: false,
+    embedDiagram: false,
+    columns: null,
+    sortBy: "name",
+    colorOutput: false,
+    hideConfig: false,
+    showProgress: false,
+    ref: null,
+    ignorePatterns: DEFAULT_IGNORE,
+    includePatterns: ["**/*"],
+    formatPlugins: [],
+    lintRules: {},
+    checkBudgets: false,
+    budgets: []
+};
@@ -0,0 +1,264 @@
+import { promises as fsPromises } from "fs";
+import path from "path";
+import { DEPENDENCY_EXTENSIONS } from "./constants.js";
+import { getFileCategory } from "./utils.js";
+
+// Import graph of JavaScript/TypeScript sources for --deps. Imports are
+// found with regular expressions (no full parse), resolved against the
+// analyzed files like Node and TypeScript would, and summarized per file and
+// per directory. All paths are relative to the root and "/"-separated.
+
+const RESOLVE_EXTENSIONS = [".ts", ".tsx", ".mts", ".cts", ".js", ".jsx", ".mjs", ".cjs", ".json"];
+const TS_SOURCES = { ".js": [".ts", ".tsx"], ".jsx": [".tsx"], ".mjs": [".mts"], ".cjs": [".cts"] };
+const PACKAGE_ENTRY_FIELDS = ["source", "module", "main", "types"];
+
+export function isDependencySource(file) {
+    const ext = path.extname(file).toLowerCase();
+    return getFileCategory(ext) === "code" && DEPENDENCY_EXTENSIONS.includes(ext);
+}
+
+// Blanks out comments while keeping string literals intact
+function stripComments(source) {
+    return source.replace(/("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g,
+        (match, string) => string || "");
+}
+
+// Specifiers of static and dynamic imports, re-exports and require() calls.
+// The keyword may not follow a quote, so text inside strings is skipped.
+export function parseImports(source) {
+    const code = stripComments(source);
+    const patterns = [
+        /(?<![\w$.'"`])import\s+(?:type\s+)?(?:[\w*${}\s,]+?\s+from\s+)?["']([^"'\n]+)["']/g,
+        /(?<![\w$.'"`])export\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s+from\s+["']([^"'\n]+)["']/g,
+        /(?<![\w$.'"`])(?:import|require)\s*\(\s*["']([^"'\n]+)["']\s*\)/g
+    ];
+
+    const specifiers = new Set();
+    patterns.forEach(pattern => {
+        for (const match of code.matchAll(pattern)) {
+            specifiers.add(match[1]);
+        }
+    });
+    return Array.from(specifiers);
+}
+
+// Path aliases from tsconfig.json or jsconfig.json in the root, and the
+// packages (directories with a package.json) inside the analyzed tree
+export async function loadDependencyContext(dir, files, warnings = []) {
+    const context = { baseUrl: null, aliases: [], packages: [] };
+
+    for (const name of ["tsconfig.json", "jsconfig.json"]) {
+        let content;
+        try {
+            content = await fsPromises.readFile(path.join(dir, name), "utf8");
+        } catch {
+            continue;
+        }
+        try {
+            // tsconfig allows comments and trailing commas
+            const options = JSON.parse(stripComments(content).replace(/,(\s*[}\]])/g, "$1")).compilerOptions || {};
+            if (options.baseUrl || options.paths) {
+                context.baseUrl = path.posix.normalize(options.baseUrl || ".");
+            }
+            context.aliases = Object.entries(options.paths || {}).map(([pattern, targets]) => ({
+                pattern,
+                targets: [].concat(targets)
+            }));
+        } catch (error) {
+            warnings.push(`Could not read path aliases from ${name}: ${error.message}`);
+        }
+        break;
+    }
+
+    for (const file of files.filter(file => path.posix.basename(file) === "package.json")) {
+        try {
+            const pkg = JSON.parse(await fsPromises.readFile(path.join(dir, file), "utf8"));
+            const bin = typeof pkg.bin === "string" ? [pkg.bin] : Object.values(pkg.bin || {});
+            context.packages.push({
+                dir: path.posix.dirname(file),
+                name: pkg.name || null,
+                entries: [...PACKAGE_ENTRY_FIELDS.map(field => pkg[field]), ...bin].filter(entry => typeof entry === "string")
+            });
+        } catch (error) {
+            warnings.push(`Could not read ${file}: ${error.message}`);
+        }
+    }
+    // Deepest package first, so a file belongs to its nearest package
+    context.packages.sort((a, b) => b.dir.length - a.dir.length);
+    return context;
+}
+
+// sources: Map of file -> import specifiers; files: every analyzed file
+export function buildDependencyGraph(sources, files, context) {
+    const fileSet = new Set(files);
+    const packageOf = (file) => context.packages.find(pkg => pkg.dir === "." || file.startsWith(`${pkg.dir}/`)) || null;
+    const join = (...parts) => path.posix.normalize(path.posix.join(...parts)).replace(/^\.\//, "");
+
+    const resolveFile = (base) => {
+        const candidates = [base, ...RESOLVE_EXTENSIONS.map(ext => base + ext), ...RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`)];
+        // TypeScript sources imported by their compiled name, e.g. "./a.js" for a.ts
+        const ext = path.posix.extname(base);
+        (TS_SOURCES[ext] || []).forEach(tsExt => candidates.push(base.slice(0, -ext.length) + tsExt));
+        return candidates.find(candidate => fileSet.has(candidate)) || null;
+    };
+
+    const resolvePackage = (pkg, subpath) => {
+        if (subpath) return resolveFile(join(pkg.dir, subpath));
+        for (const entry of [...pkg.entries, "index", "src/index"]) {
+            const resolved = resolveFile(join(pkg.dir, entry));
+            if (resolved) return resolved;
+        }
+        return null;
+    };
+
+    // { file } for local targets, { external } for packages, or null
+    const resolve = (from, specifier) => {
+        if (specifier.startsWith("./") || specifier.startsWith("../") || specifier === "." || specifier === "..") {
+            return { file: resolveFile(join(path.posix.dirname(from), specifier)) };
+        }
+        for (const alias of context.aliases) {
+            const [prefix, suffix = null] = alias.pattern.split("*");
+            const matched = suffix === null
+                ? specifier === prefix
+                : specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length;
+            if (!matched) continue;
+            const wildcard = suffix === null ? "" : specifier.slice(prefix.length, specifier.length - suffix.length);
+            for (const target of alias.targets) {
+                const resolved = resolveFile(join(context.baseUrl || ".", target.replace("*", wildcard)));
+                if (resolved) return { file: resolved };
+            }
+            return { file: null };
+        }
+        if (context.baseUrl) {
+            const resolved = resolveFile(join(context.baseUrl, specifier));
+            if (resolved) return { file: resolved };
+        }
+
+        const parts = specifier.split("/");
+        const name = specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+        const subpath = parts.slice(specifier.startsWith("@") ? 2 : 1).join("/");
+        const pkg = context.packages.find(candidate => candidate.name === name);
+        if (pkg) return { file: resolvePackage(pkg, subpath) };
+        return specifier.startsWith("node:") ? null : { external: name };
+    };
+
+    const edges = [];
+    const external = {};
+    const unresolved = [];
+    const seen = new Set();
+    Array.from(sources.keys()).sort().forEach(from => {
+        sources.get(from).forEach(specifier => {
+            const target = resolve(from, specifier);
+            if (!target) return;
+            if (target.external) {
+                external[target.external] = (external[target.external] || 0) + 1;
+                return;
+            }
+            if (!target.file) {
+                unresolved.push({ from, specifier });
+                return;
+            }
+            const key = `${from}\n${target.file}`;
+            if (target.file === from || seen.has(key)) return;
+            seen.add(key);
+
+            const fromPackage = packageOf(from);
+            const toPackage = packageOf(target.file);
+            edges.push({
+                from,
+                to: target.file,
+                crossPackage: Boolean((fromPackage || toPackage) && fromPackage !== toPackage)
+            });
+        });
+    });
+
+    // Directory graph: file edges between different directories, counted
+    const directoryEdges = new Map();
+    edges.forEach(edge => {
+        const from = path.posix.dirname(edge.from);
+        const to = path.posix.dirname(edge.to);
+        if (from === to) return;
+        const key = `${from}\n${to}`;
+        if (!directoryEdges.has(key)) directoryEdges.set(key, { from, to, count: 0, crossPackage: false });
+        const directoryEdge = directoryEdges.get(key);
+        directoryEdge.count++;
+        directoryEdge.crossPackage = directoryEdge.crossPackage || edge.crossPackage;
+    });
+
+    const imported = new Set(edges.map(edge => edge.to));
+    const entryPoints = new Set();
+    context.packages.forEach(pkg => pkg.entries.forEach(entry => {
+        const resolved = resolveFile(join(pkg.dir, entry));
+        if (resolved) entryPoints.add(resolved);
+    }));
+    const packageName = (file) => {
+        const pkg = packageOf(file);
+        return pkg ? pkg.name || pkg.dir : null;
+    };
+
+    return {
+        files: sources.size,
+        edges,
+        cycles: findCycles(edges),
+        orphans: Array.from(sources.keys()).filter(file => !imported.has(file) && !entryPoints.has(file)).sort(),
+        crossPackage: edges
+            .filter(edge => edge.crossPackage)
+            .map(edge => ({ ...edge, fromPackage: packageName(edge.from), toPackage: packageName(edge.to) })),
+        directories: {
+            edges: Array.from(directoryEdges.values()),
+            cycles: findCycles(Array.from(directoryEdges.values()))
+        },
+        external,
+        unresolved
+    };
+}
+
+// Strongly connected components with more than one member (Tarjan)
+function findCycles(edges) {
+    const graph = new Map();
+    edges.forEach(({ from, to }) => {
+        if (!graph.has(from)) graph.set(from, []);
+        if (!graph.has(to)) graph.set(to, []);
+        graph.get(from).push(to);
+    });
+
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const connect = (node) => {
+        index.set(node, counter);
+        lowLink.set(node, counter);
+        counter++;
+        stack.push(node);
+        onStack.add(node);
+
+        graph.get(node).forEach(next => {
+            if (!index.has(next)) {
+                connect(next);
+                lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+            } else if (onStack.has(next)) {
+                lowLink.set(node, Math.min(lowLink.get(node), index.get(next)));
+            }
+        });
+
+        if (lowLink.get(node) === index.get(node)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== node);
+            if (component.length > 1) cycles.push(component.sort());
+        }
+    };
+
+    Array.from(graph.keys()).sort().forEach(node => {
+        if (!index.has(node)) connect(node);
+    });
+    return cycles.sort((a, b) => a[0].localeCompare(b[0]));
+}
@@ -0,0 +1,275 @@
+import { promises as fsPromises } from "fs";
+import path from "path";
+import { Analyzer } from "./analyzer.js";
+import { isRevision } from "./git-utils.js";
+import { hashFile } from "./utils.js";
+
+// A snapshot is a flat Map of "dir/file" paths to { type, size, hash, blob, fullPath }.
+// `size` and `hash` are optional: JSON snapshots only carry sizes when they
+// were generated with --sizes. A directory's size is the total of the files
+// below it. `fullPath` is set for live directories and `blob` (the git
+// object id) for revisions, so move candidates can be confirmed by comparing
+// their content.
+
+export async function loadSnapshot(file) {
+    let json;
+    try {
+        json = JSON.parse(await fsPromises.readFile(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Could not read snapshot ${file}: ${error.message}`);
+    }
+
+    if (Array.isArray(json.roots)) {
+        if (json.roots.length !== 1) {
+            throw new Error(`Snapshot ${file} contains ${json.roots.length} roots; diff needs a single root`);
+        }
+        json = json.roots[0];
+    }
+    if (!json.structure || typeof json.structure !== "object") {
+        throw new Error(`Snapshot ${file} has no "structure"; expected output of --format json`);
+    }
+
+    const entries = new Map();
+    collectSnapshotEntries(json.structure, "", entries);
+    return { label: file, directory: json.directory, entries };
+}
+
+function collectSnapshotEntries(structure, parentPath, entries) {
+    Object.entries(structure).forEach(([name, node]) => {
+        const currentPath = parentPath ? `${parentPath}/${name}` : name;
+        entries.set(currentPath, {
+            type: node.type === "directory" ? "directory" : "file",
+            size: typeof node.size === "number" ? node.size : undefined,
+            hash: node.hash
+        });
+        if (node.children) {
+            collectSnapshotEntries(node.children, currentPath, entries);
+        }
+    });
+}
+
+export function snapshotFromAnalysis(analysisResult, dir) {
+    const entries = new Map();
+    analysisResult.fileInfoMap.forEach((fileInfo, file) => {
+        const entry = {
+            type: fileInfo.isDirectory ? "directory" : "file",
+            size: fileInfo.isDirectory ? fileInfo.totalSize : fileInfo.size
+        };
+        if (analysisResult.ref) {
+            entry.blob = fileInfo.object;
+        } else {
+            entry.fullPath = path.resolve(dir, file);
+        }
+        entries.set(file.split(path.sep).join("/"), entry);
+    });
+
+    const label = analysisResult.ref || dir;
+    return { label, directory: path.resolve(dir), entries };
+}
+
+// `source` is a JSON snapshot, a directory, or a git revision of the
+// repository in `repoDir`. `getSettings(dir)` supplies (a promise of)
+// analyzer settings for the live and revision cases.
+export async function loadSide(source, getSettings, repoDir = ".") {
+    const stat = await fsPromises.stat(source).catch(() => null);
+    if (stat && !stat.isDirectory()) {
+        return loadSnapshot(source);
+    }
+
+    if (stat) {
+        const analyzer = new Analyzer(await getSettings(source));
+        const result = await analyzer.analyze(source);
+        return snapshotFromAnalysis(result, source);
+    }
+
+    if (!await isRevision(repoDir, source)) {
+        throw new Error(`${source} is neither a snapshot file, a directory nor a git revision`);
+    }
+    const analyzer = new Analyzer({ ...await getSettings(repoDir), ref: source });
+    const result = await analyzer.analyze(repoDir);
+    return snapshotFromAnalysis(result, repoDir);
+}
+
+export async function diffSnapshots(before, after) {
+    const added = [];
+    const removed = [];
+    const resized = [];
+
+    before.entries.forEach((entry, file) => {
+        const other = after.entries.get(file);
+        if (!other || other.type !== entry.type) {
+            removed.push({ path: file, ...entry });
+        } else if (entry.size !== undefined && other.size !== undefined && entry.size !== other.size) {
+            resized.push({ path: file, type: entry.type, before: entry.size, after: other.size });
+        }
+    });
+    after.entries.forEach((entry, file) => {
+        const other = before.entries.get(file);
+        if (!other || other.type !== entry.type) {
+            added.push({ path: file, ...entry });
+        }
+    });
+
+    // Entries inside a moved directory moved with it
+    const directoryMoves = await matchDirectoryMoves(removed, added);
+    const fromDirs = directoryMoves.map(move => move.from);
+    const toDirs = directoryMoves.map(move => move.to);
+    const moved = [
+        ...directoryMoves,
+        ...await matchMoves(removed.filter(entry => !isInside(entry.path, fromDirs)), added.filter(entry => !isInside(entry.path, toDirs)))
+    ];
+    const movedFrom = new Set(moved.map(move => move.from));
+    const movedTo = new Set(moved.map(move => move.to));
+
+    const strip = ({ fullPath, blob, ...entry }) => entry;
+    const result = {
+        before: before.label,
+        after: after.label,
+        added: added.filter(entry => !movedTo.has(entry.path) && !isInside(entry.path, toDirs)).map(strip),
+        removed: removed.filter(entry => !movedFrom.has(entry.path) && !isInside(entry.path, fromDirs)).map(strip),
+        moved,
+        resized
+    };
+    result.changed = result.added.length + result.removed.length + moved.length + resized.length > 0;
+    return result;
+}
+
+// Pairs removed and added directories holding the same files: as many, of
+// the same total size and with the same contents (hashes or git blob ids),
+// or with the same relative paths and sizes when contents cannot be
+// compared. Outermost directories are matched first, and a directory with
+// the same name is preferred.
+async function matchDirectoryMoves(removed, added) {
+    const describe = (entries, dir) => {
+        const files = entries.filter(entry => entry.type === "file" && entry.path.startsWith(`${dir.path}/`));
+        return { path: dir.path, files, size: dir.size, depth: dir.path.split("/").length };
+    };
+    const sources = removed.filter(entry => entry.type === "directory")
+        .map(entry => describe(removed, entry))
+        .sort((a, b) => a.depth - b.depth || a.path.localeCompare(b.path));
+    const targets = added.filter(entry => entry.type === "directory")
+        .map(entry => describe(added, entry));
+
+    const moved = [];
+    for (const source of sources) {
+        if (source.files.length === 0 || isInside(source.path, moved.map(move => move.from))) continue;
+
+        const name = path.posix.basename(source.path);
+        const candidates = targets
+            .filter(target => !isInside(target.path, moved.map(move => move.to)) &&
+                target.files.length === source.files.length &&
+                (source.size === undefined || target.size === undefined || source.size === target.size))
+            .sort((a, b) => (path.posix.basename(a.path) !== name) - (path.posix.basename(b.path) !== name) || a.depth - b.depth);
+
+        for (const target of candidates) {
+            const { same, confirmed } = await sameFiles(source, target);
+            if (same) {
+                moved.push({ from: source.path, to: target.path, type: "directory", size: source.size, confirmed });
+                break;
+            }
+        }
+    }
+    return moved;
+}
+
+function isInside(file, dirs) {
+    return dirs.some(dir => file === dir || file.startsWith(`${dir}/`));
+}
+
+// `confirmed` is false when only paths and sizes could be compared
+async function sameFiles(a, b) {
+    const relative = (dir, entry) => entry.path.slice(dir.path.length + 1);
+    const useBlobs = [...a.files, ...b.files].some(entry => entry.blob);
+    const contents = async (dir) => {
+        const ids = [];
+        for (const entry of dir.files) {
+            const id = useBlobs ? await getBlobId(entry) : await getHash(entry);
+            if (!id) return null;
+            ids.push(id);
+        }
+        return ids.sort();
+    };
+
+    const contentsA = await contents(a);
+    const contentsB = contentsA ? await contents(b) : null;
+    if (contentsA && contentsB) {
+        return { same: contentsA.every((id, index) => id === contentsB[index]), confirmed: true };
+    }
+    const layout = (dir) => dir.files.map(entry => `${relative(dir, entry)}\0${entry.size}`).sort();
+    const layoutA = layout(a);
+    const layoutB = layout(b);
+    return { same: layoutA.every((file, index) => file === layoutB[index]), confirmed: false };
+}
+
+// Pairs removed and added files with the same size. A pair is confirmed by
+// content hash when both sides provide one, otherwise by matching file name;
+// such guesses are marked `confirmed: false`.
+async function matchMoves(removed, added) {
+    const bySize = new Map();
+    added.forEach(entry => {
+        if (entry.type !== "file" || entry.size === undefined) return;
+        if (!bySize.has(entry.size)) bySize.set(entry.size, []);
+        bySize.get(entry.size).push(entry);
+    });
+
+    const moved = [];
+    const claimed = new Set();
+    for (const entry of removed) {
+        if (entry.type !== "file" || entry.size === undefined) continue;
+        const candidates = (bySize.get(entry.size) || []).filter(candidate => !claimed.has(candidate.path));
+
+        let match = null;
+        let confirmed = true;
+        for (const candidate of candidates) {
+            if (await sameContent(entry, candidate) === true) {
+                match = candidate;
+                break;
+            }
+        }
+        if (!match) {
+            // Unless the contents could be compared (and differed), fall
+            // back to a unique file name match
+            const sameName = candidates.filter(candidate => path.posix.basename(candidate.path) === path.posix.basename(entry.path));
+            if (sameName.length === 1 && await sameContent(entry, sameName[0]) !== false) {
+                match = sameName[0];
+                confirmed = false;
+            }
+        }
+
+        if (match) {
+            claimed.add(match.path);
+            moved.push({ from: entry.path, to: match.path, type: "file", size: entry.size, confirmed });
+        }
+    }
+    return moved;
+}
+
+// true/false when both contents can be compared, null when they cannot
+async function sameContent(a, b) {
+    if (a.blob || b.blob) {
+        const blobA = await getBlobId(a);
+        const blobB = blobA ? await getBlobId(b) : null;
+        if (blobA && blobB) return blobA === blobB;
+    }
+    const hashA = await getHash(a);
+    const hashB = hashA ? await getHash(b) : null;
+    return hashA && hashB ? hashA === hashB : null;
+}
+
+async function getHash(entry) {
+    if (entry.hash) return entry.hash;
+    if (!entry.fullPath) return null;
+
+    entry.hash = await hashFile(entry.fullPath, "sha256");
+    return entry.hash;
+}
+
+// Git object id of a live file, to compare it with a blob from a revision
+async function getBlobId(entry) {
+    if (entry.blob) return entry.blob;
+    if (!entry.fullPath || entry.size === undefined) return null;
+
+    entry.blob = await hashFile(entry.fullPath, "sha1", `blob ${entry.size}\0`);
+    return entry.blob;
+}
+
@@ -0,0 +1,124 @@
+import chalk from "chalk";
+import { BUDGET_LIMITS } from "../budgets.js";
+import { formatBytes, formatPercent } from "../utils.js";
+
+// Formatters for `repostruc budget`: { directory, budgets }. The tables are
+// also used by the tree formatters when --check-budgets is given.
+
+export function getBudgetFormatter(format, options) {
+    switch (format) {
+        case 'json':
+            return new BudgetJSONFormatter(options);
+        case 'markdown':
+            return new BudgetMarkdownFormatter(options);
+        case 'txt':
+            return new BudgetTextFormatter(options);
+        default:
+            throw new Error(`Unknown budget format "${format}" (expected txt, json or markdown)`);
+    }
+}
+
+export function formatBudgetValue(row, value) {
+    return row.limit === "maxFiles" ? `${value} file${value === 1 ? '' : 's'}` : formatBytes(value);
+}
+
+const budgetCount = (count) => `${count} budget${count === 1 ? '' : 's'}`;
+
+export function countExceeded(rows) {
+    return rows.filter(row => row.exceeded).length;
+}
+
+export function generateBudgetTable(rows) {
+    const columns = rows.map(row => [
+        row.path,
+        BUDGET_LIMITS[row.limit],
+        formatBudgetValue(row, row.usage),
+        formatBudgetValue(row, row.max),
+        formatPercent(row.usage, row.max)
+    ]);
+    const headers = ["Path", "Limit", "Usage", "Max", "Used"];
+    const widths = headers.map((header, i) => Math.max(header.length, ...columns.map(column => column[i].length)));
+    const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ");
+
+    let output = "Budgets:\n";
+    output += "-".repeat(60) + "\n";
+    output += line(headers) + "\n";
+    columns.forEach((cells, index) => {
+        const row = rows[index];
+        const status = row.exceeded ? chalk.red("✗ exceeded") : chalk.green("✓");
+        output += `${line(cells)}  ${status}${row.file ? chalk.gray(` (${row.file})`) : ""}\n`;
+    });
+    output += "\n";
+    return output;
+}
+
+export function generateBudgetMarkdown(rows) {
+    let output = "| Path | Limit | Usage | Max | Used | Status |\n";
+    output += "|------|-------|------:|----:|-----:|--------|\n";
+    rows.forEach(row => {
+        const status = row.exceeded ? "❌ exceeded" : "✅";
+        output += `| \`${row.path}\` | ${BUDGET_LIMITS[row.limit]}${row.file ? ` (${row.file})` : ""} | ${formatBudgetValue(row, row.usage)} | ${formatBudgetValue(row, row.max)} | ${formatPercent(row.usage, row.max)} | ${status} |\n`;
+    });
+    return output + "\n";
+}
+
+function summarize(rows) {
+    const exceeded = countExceeded(rows);
+    return exceeded > 0
+        ? chalk.red(`✖ ${exceeded} of ${budgetCount(rows.length)} exceeded`)
+        : chalk.green(`✓ ${rows.length === 1 ? "The budget is" : `All ${budgetCount(rows.length)}`} met`);
+}
+
+export class BudgetTextFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(report) {
+        let output = "Structure Budgets:\n";
+        output += "=".repeat(60) + "\n";
+        output += `Directory: ${report.directory}\n`;
+        output += "-".repeat(60) + "\n\n";
+        if (report.budgets.length === 0) {
+            return output;
+        }
+        output += generateBudgetTable(report.budgets);
+        output += summarize(report.budgets) + "\n";
+        return output;
+    }
+}
+
+export class BudgetJSONFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(report) {
+        return JSON.stringify({
+            generated: new Date().toISOString(),
+            directory: report.directory,
+            exceeded: countExceeded(report.budgets),
+            budgets: report.budgets
+        }, null, 2);
+    }
+}
+
+export class BudgetMarkdownFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(report) {
+        let output = "# Structure Budgets\n\n";
+        output += `Directory: \`${report.directory}\`\n\n`;
+        if (report.budgets.length === 0) {
+            return output;
+        }
+        output += generateBudgetMarkdown(report.budgets);
+        const exceeded = countExceeded(report.budgets);
+        output += exceeded > 0
+            ? `**${exceeded} of ${budgetCount(report.budgets.length)} exceeded**\n`
+            : `${report.budgets.length === 1 ? "The budget is" : `All ${budgetCount(report.budgets.length)}`} met\n`;
+        return output;
+    }
+}
@@ -0,0 +1,161 @@
+import chalk from "chalk";
+
+// Sections for the dependency graph built with --deps (stats.deps), shared
+// by the text, markdown and dot formatters.
+
+const plural = (count, singular, pluralForm) => `${count} ${count === 1 ? singular : pluralForm}`;
+
+function summarize(deps) {
+    return [
+        plural(deps.files, "source file", "source files"),
+        plural(deps.edges.length, "import", "imports"),
+        plural(deps.cycles.length, "cycle", "cycles"),
+        plural(deps.orphans.length, "orphan", "orphans"),
+        plural(deps.crossPackage.length, "cross-package edge", "cross-package edges")
+    ].join(", ");
+}
+
+function formatExternal(external) {
+    return Object.entries(external)
+        .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+        .map(([name, count]) => `${name} (${count})`)
+        .join(", ");
+}
+
+export function generateDependencyText(deps) {
+    let output = "Dependencies:\n";
+    output += "-".repeat(60) + "\n";
+    output += summarize(deps) + "\n";
+    if (Object.keys(deps.external).length > 0) {
+        output += `External packages: ${formatExternal(deps.external)}\n`;
+    }
+    output += "\n";
+
+    const list = (title, items, format) => {
+        if (items.length === 0) return;
+        output += `${title}:\n`;
+        items.forEach((item, index) => {
+            output += `  ${format(item, index)}\n`;
+        });
+        output += "\n";
+    };
+
+    list("File cycles", deps.cycles, (cycle, index) => chalk.red(`#${index + 1} ${cycle.join(" ⇄ ")}`));
+    list("Directory cycles", deps.directories.cycles, (cycle, index) => chalk.red(`#${index + 1} ${cycle.join(" ⇄ ")}`));
+    list("Orphan files (not imported)", deps.orphans, file => chalk.yellow(file));
+    list("Cross-package imports", deps.crossPackage, edge =>
+        `${edge.from} → ${edge.to} ${chalk.gray(`(${edge.fromPackage || "none"} → ${edge.toPackage || "none"})`)}`);
+    list("Directory dependencies", deps.directories.edges, edge =>
+        `${edge.from} → ${edge.to} ${chalk.gray(`(${plural(edge.count, "import", "imports")})`)}`);
+    list("Unresolved imports", deps.unresolved, entry => `${entry.from}: ${chalk.yellow(entry.specifier)}`);
+    return output;
+}
+
+export function generateDependencyMarkdown(deps, heading) {
+    let output = `${summarize(deps)}\n\n`;
+    if (Object.keys(deps.external).length > 0) {
+        output += `External packages: ${formatExternal(deps.external)}\n\n`;
+    }
+
+    const code = (file) => `\`${file}\``;
+    if (deps.cycles.length > 0 || deps.directories.cycles.length > 0) {
+        output += `${heading} Cycles\n\n`;
+        deps.cycles.forEach(cycle => {
+            output += `- ${cycle.map(code).join(" ⇄ ")}\n`;
+        });
+        deps.directories.cycles.forEach(cycle => {
+            output += `- directories ${cycle.map(directory => code(`${directory}/`)).join(" ⇄ ")}\n`;
+        });
+        output += "\n";
+    }
+    if (deps.orphans.length > 0) {
+        output += `${heading} Orphan Files\n\n`;
+        deps.orphans.forEach(file => {
+            output += `- ${code(file)}\n`;
+        });
+        output += "\n";
+    }
+    if (deps.crossPackage.length > 0) {
+        output += `${heading} Cross-Package Imports\n\n`;
+        output += "| From | To | Packages |\n";
+        output += "|------|----|----------|\n";
+        deps.crossPackage.forEach(edge => {
+            output += `| ${code(edge.from)} | ${code(edge.to)} | ${edge.fromPackage || "none"} → ${edge.toPackage || "none"} |\n`;
+        });
+        output += "\n";
+    }
+    if (deps.directories.edges.length > 0) {
+        output += `${heading} Directory Dependencies\n\n`;
+        output += "| From | To | Imports |\n";
+        output += "|------|----|--------:|\n";
+        deps.directories.edges.forEach(edge => {
+            output += `| ${code(edge.from)} | ${code(edge.to)} | ${edge.count} |\n`;
+        });
+        output += "\n";
+    }
+    if (deps.unresolved.length > 0) {
+        output += `${heading} Unresolved Imports\n\n`;
+        deps.unresolved.forEach(entry => {
+            output += `- ${code(entry.from)}: ${code(entry.specifier)}\n`;
+        });
+        output += "\n";
+    }
+    return output;
+}
+
+// Graphviz digraph of the imports: files grouped in a cluster per directory
+// with --files, otherwise directories with their import counts. Edges in a
+// cycle are red, edges between packages dashed.
+export function generateDependencyDot(graphs, options) {
+    const escape = (text) => text.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+    let output = "digraph dependencies {\n";
+    output += "    rankdir=LR;\n";
+    output += '    node [fontname="Helvetica", fontsize=10, shape=box, style=rounded];\n';
+    output += '    edge [color="#8c959f"];\n';
+
+    graphs.forEach(({ deps, prefix }) => {
+        const id = (name) => `"${escape(prefix + name)}"`;
+        const cycles = options.showFiles ? deps.cycles : deps.directories.cycles;
+        const componentOf = new Map();
+        cycles.forEach((cycle, index) => cycle.forEach(member => componentOf.set(member, index)));
+        const edgeAttributes = (from, to, crossPackage, label) => {
+            const attributes = [];
+            if (componentOf.has(from) && componentOf.get(from) === componentOf.get(to)) attributes.push('color="#cf222e"');
+            if (crossPackage) attributes.push("style=dashed");
+            if (label) attributes.push(`label="${label}"`);
+            return attributes.length > 0 ? ` [${attributes.join(", ")}]` : "";
+        };
+
+        if (options.showFiles) {
+            const byDirectory = new Map();
+            const files = new Set([...deps.edges.flatMap(edge => [edge.from, edge.to]), ...deps.orphans]);
+            files.forEach(file => {
+                const directory = file.includes("/") ? file.slice(0, file.lastIndexOf("/")) : ".";
+                if (!byDirectory.has(directory)) byDirectory.set(directory, []);
+                byDirectory.get(directory).push(file);
+            });
+            Array.from(byDirectory.keys()).sort().forEach((directory, index) => {
+                output += `    subgraph "cluster_${escape(prefix)}${index}" {\n`;
+                output += `        label="${escape(directory)}/"; style=rounded; color="#d0d7de";\n`;
+                byDirectory.get(directory).sort().forEach(file => {
+                    const orphan = deps.orphans.includes(file) ? ', color="#bf8700"' : "";
+                    output += `        ${id(file)} [label="${escape(file.slice(file.lastIndexOf("/") + 1))}"${orphan}];\n`;
+                });
+                output += "    }\n";
+            });
+            deps.edges.forEach(edge => {
+                output += `    ${id(edge.from)} -> ${id(edge.to)}${edgeAttributes(edge.from, edge.to, edge.crossPackage)};\n`;
+            });
+        } else {
+            const directories = new Set(deps.directories.edges.flatMap(edge => [edge.from, edge.to]));
+            Array.from(directories).sort().forEach(directory => {
+                output += `    ${id(directory)} [label="${escape(directory)}/", shape=folder, style=filled, fillcolor="#ddf4ff"];\n`;
+            });
+            deps.directories.edges.forEach(edge => {
+                output += `    ${id(edge.from)} -> ${id(edge.to)}${edgeAttributes(edge.from, edge.to, edge.crossPackage, edge.count)};\n`;
+            });
+        }
+    });
+    output += "}\n";
+    return output;
+}
@@ -0,0 +1,175 @@
+import path from "path";
+import { DIAGRAM_MAX_CHILDREN } from "../constants.js";
+import { formatBytes, sortEntries, getEntrySize, getRootOptions } from "../utils.js";
+import { generateDependencyDot } from "./deps-formatter.js";
+
+// Mermaid flowcharts and Graphviz digraphs of the tree. Directories are
+// always drawn, files only with --files. Directories with more than
+// DIAGRAM_MAX_CHILDREN children, and directories at --depth, end in a
+// summary node standing for the entries that are not drawn.
+
+// Nodes as { id, kind, lines } (kind: root, directory, file or summary)
+// and edges as [from, to]
+export function buildDiagram(analysisResult, options, prefix = "n") {
+    const { stats, structureMap, fileInfoMap } = analysisResult;
+    const nodes = [];
+    const edges = [];
+    const addNode = (kind, lines, parentId) => {
+        const id = `${prefix}${nodes.length}`;
+        nodes.push({ id, kind, lines: lines.filter(Boolean) });
+        if (parentId) edges.push([parentId, id]);
+        return id;
+    };
+
+    const isDirectory = (subMap, fileInfo) => subMap.size > 0 || Boolean(fileInfo && fileInfo.isDirectory);
+    const plural = (count, singular, pluralForm) => `${count} ${count === 1 ? singular : pluralForm}`;
+
+    const directory = options.rootLabel || path.basename(path.resolve(options.directory || '.'));
+    const rootId = addNode("root", [
+        directory + (analysisResult.ref ? ` @ ${analysisResult.ref}` : ""),
+        options.showSizes ? formatBytes(stats.totalSize) : null,
+        options.showStats ? `${plural(stats.totalFiles, "file", "files")}, ${plural(stats.totalDirs, "directory", "directories")}` : null
+    ]);
+
+    const drawable = (entries, parentPath) => entries.filter(([name, subMap]) =>
+        options.showFiles || isDirectory(subMap, fileInfoMap.get(parentPath ? path.join(parentPath, name) : name)));
+
+    const summarize = (entries, parentPath, parentId) => {
+        let files = 0;
+        let directories = 0;
+        let size = 0;
+        entries.forEach(([name, subMap]) => {
+            const fileInfo = fileInfoMap.get(parentPath ? path.join(parentPath, name) : name);
+            if (isDirectory(subMap, fileInfo)) directories++;
+            else files++;
+            if (fileInfo) size += getEntrySize(fileInfo);
+        });
+        const counts = [
+            directories > 0 ? plural(directories, "directory", "directories") : null,
+            files > 0 ? plural(files, "file", "files") : null
+        ].filter(Boolean).join(", ");
+        addNode("summary", [`+ ${counts}`, options.showSizes ? formatBytes(size) : null], parentId);
+    };
+
+    const walk = (map, parentPath, parentId, depth) => {
+        const entries = sortEntries(Array.from(map.entries()), fileInfoMap, parentPath, options.sortBy);
+        const drawn = drawable(entries, parentPath);
+
+        drawn.slice(0, DIAGRAM_MAX_CHILDREN).forEach(([name, subMap]) => {
+            const currentPath = parentPath ? path.join(parentPath, name) : name;
+            const fileInfo = fileInfoMap.get(currentPath);
+
+            if (!isDirectory(subMap, fileInfo)) {
+                addNode("file", [name, options.showSizes && fileInfo ? formatBytes(fileInfo.size) : null], parentId);
+                return;
+            }
+
+            const id = addNode("directory", [
+                `${name}/`,
+                options.showSizes && fileInfo ? formatBytes(fileInfo.totalSize || 0) : null,
+                options.showStats && fileInfo ? plural(fileInfo.fileCount || 0, "file", "files") : null
+            ], parentId);
+            if (depth < options.maxDepth) {
+                walk(subMap, currentPath, id, depth + 1);
+            } else {
+                const hidden = drawable(Array.from(subMap.entries()), currentPath);
+                if (hidden.length > 0) summarize(hidden, currentPath, id);
+            }
+        });
+
+        if (drawn.length > DIAGRAM_MAX_CHILDREN) {
+            summarize(drawn.slice(DIAGRAM_MAX_CHILDREN), parentPath, parentId);
+        }
+    };
+    walk(structureMap, "", rootId, 1);
+
+    return { nodes, edges };
+}
+
+function buildDiagrams(formatter, analysisResults) {
+    return analysisResults.map((result, index) => buildDiagram(
+        result,
+        getRootOptions(formatter.options, result),
+        analysisResults.length > 1 ? `r${index}n` : "n"
+    ));
+}
+
+export class MermaidFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(analysisResult) {
+        return this.formatMultiple([analysisResult]);
+    }
+
+    formatMultiple(analysisResults) {
+        return this.render(buildDiagrams(this, analysisResults));
+    }
+
+    render(diagrams) {
+        // Mermaid entity codes; "#" itself starts one
+        const entities = { "#": "#35;", "&": "#amp;", "<": "#lt;", ">": "#gt;", '"': "#quot;" };
+        const escape = (text) => text.replace(/[#&<>"]/g, char => entities[char]);
+        let output = "flowchart LR\n";
+        diagrams.forEach(({ nodes, edges }) => {
+            nodes.forEach(node => {
+                output += `    ${node.id}["${node.lines.map(escape).join("<br>")}"]:::${node.kind}\n`;
+            });
+            edges.forEach(([from, to]) => {
+                output += `    ${from} --> ${to}\n`;
+            });
+        });
+        output += "    classDef root fill:#ddf4ff,stroke:#0969da,font-weight:bold\n";
+        output += "    classDef directory fill:#ddf4ff,stroke:#54aeff\n";
+        output += "    classDef file fill:#ffffff,stroke:#d0d7de\n";
+        output += "    classDef summary fill:#f6f8fa,stroke:#d0d7de,stroke-dasharray:3 3,color:#656d76\n";
+        return output;
+    }
+}
+
+export class DotFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(analysisResult) {
+        return this.formatMultiple([analysisResult]);
+    }
+
+    // With --deps the import graph is drawn instead of the tree
+    formatMultiple(analysisResults) {
+        if (this.options.showDeps && analysisResults.every(result => result.stats.deps)) {
+            return generateDependencyDot(analysisResults.map((result, index) => ({
+                deps: result.stats.deps,
+                prefix: analysisResults.length > 1 ? `${index}:` : ""
+            })), this.options);
+        }
+        return this.render(buildDiagrams(this, analysisResults));
+    }
+
+    render(diagrams) {
+        const escape = (text) => text.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+        const attributes = {
+            root: 'shape=folder, style="filled,bold", fillcolor="#ddf4ff"',
+            directory: 'shape=folder, style=filled, fillcolor="#ddf4ff"',
+            file: "shape=note",
+            summary: 'shape=box, style="dashed,rounded", fontcolor="#656d76"'
+        };
+
+        let output = "digraph structure {\n";
+        output += "    rankdir=LR;\n";
+        output += '    node [fontname="Helvetica", fontsize=10];\n';
+        output += '    edge [color="#8c959f"];\n';
+        diagrams.forEach(({ nodes, edges }) => {
+            nodes.forEach(node => {
+                output += `    ${node.id} [label="${node.lines.map(escape).join("\\n")}", ${attributes[node.kind]}];\n`;
+            });
+            edges.forEach(([from, to]) => {
+                output += `    ${from} -> ${to};\n`;
+            });
+        });
+        output += "}\n";
+        return output;
+    }
+}
@@ -0,0 +1,236 @@
+import chalk from "chalk";
+import { TREE_CHARS } from "../constants.js";
+import { formatBytes } from "../utils.js";
+
+// Formatters for the result of diffSnapshots(). The tree views only show
+// changed entries and their ancestors; entries inside an added or removed
+// directory are folded into that directory's line.
+
+export function getDiffFormatter(format, options) {
+    switch (format) {
+        case 'json':
+            return new DiffJSONFormatter(options);
+        case 'markdown':
+            return new DiffMarkdownFormatter(options);
+        case 'txt':
+            return new DiffTextFormatter(options);
+        default:
+            throw new Error(`Unknown diff format "${format}" (expected txt, json or markdown)`);
+    }
+}
+
+export function buildDiffTree(diff) {
+    const root = { children: new Map() };
+    const addNode = (file, change) => {
+        let current = root;
+        file.split("/").forEach(part => {
+            if (!current.children.has(part)) {
+                current.children.set(part, { children: new Map() });
+            }
+            current = current.children.get(part);
+        });
+        current.change = change;
+    };
+
+    diff.added.forEach(entry => addNode(entry.path, { kind: "added", ...entry }));
+    diff.removed.forEach(entry => addNode(entry.path, { kind: "removed", ...entry }));
+    diff.resized.forEach(entry => addNode(entry.path, { kind: "resized", type: "file", ...entry }));
+    diff.moved.forEach(entry => addNode(entry.to, { kind: "moved", ...entry }));
+    return root;
+}
+
+function isFolded(node) {
+    return node.change && node.change.type === "directory" && (node.change.kind === "added" || node.change.kind === "removed");
+}
+
+// Children of an added/removed directory that share its change are folded
+// into its line; anything else below it (e.g. a file moved into a new
+// directory) is still listed
+function foldedKind(node, parentKind) {
+    return node.change && node.change.kind === parentKind;
+}
+
+function hasVisibleChanges(node, foldKind) {
+    return Array.from(node.children.values()).some(child =>
+        !foldedKind(child, foldKind) || hasVisibleChanges(child, foldKind));
+}
+
+function countFolded(node, foldKind) {
+    let count = 0;
+    node.children.forEach(child => {
+        if (foldedKind(child, foldKind)) count++;
+        count += countFolded(child, foldKind);
+    });
+    return count;
+}
+
+function sortedChildren(node, foldKind = null) {
+    return Array.from(node.children.entries()).filter(([, child]) =>
+        !foldKind || !foldedKind(child, foldKind) || hasVisibleChanges(child, foldKind)
+    ).sort(([nameA, a], [nameB, b]) => {
+        const dirA = a.children.size > 0 || (a.change && a.change.type === "directory");
+        const dirB = b.children.size > 0 || (b.change && b.change.type === "directory");
+        if (dirA && !dirB) return -1;
+        if (!dirA && dirB) return 1;
+        return nameA.localeCompare(nameB);
+    });
+}
+
+function summarize(diff) {
+    return `${diff.added.length} added, ${diff.removed.length} removed, ${diff.moved.length} moved, ${diff.resized.length} resized`;
+}
+
+function describeChange(change, node) {
+    const details = [];
+    if (change.kind === "resized") {
+        details.push(`${formatBytes(change.before)} → ${formatBytes(change.after)}`);
+    } else if (change.kind === "moved") {
+        details.push(`from ${change.from}`);
+        if (!change.confirmed) details.push("unconfirmed");
+    } else if (isFolded(node)) {
+        const count = countFolded(node, change.kind);
+        if (count > 0) details.push(`${count} ${count === 1 ? "entry" : "entries"}`);
+    } else if (change.size !== undefined) {
+        details.push(formatBytes(change.size));
+    }
+    return details;
+}
+
+export class DiffTextFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(diff) {
+        let output = "Structure Diff:\n";
+        output += "=".repeat(60) + "\n";
+        output += `Before: ${diff.before}\n`;
+        output += `After:  ${diff.after}\n`;
+        output += "-".repeat(60) + "\n\n";
+
+        if (!diff.changed) {
+            output += "No structural changes.\n";
+            return output;
+        }
+
+        output += this.generateTree(buildDiffTree(diff));
+        output += `\nSummary: ${summarize(diff)}\n`;
+        return output;
+    }
+
+    generateTree(node, prefix = "", foldKind = null) {
+        let output = "";
+        const entries = sortedChildren(node, foldKind);
+
+        entries.forEach(([name, child], index) => {
+            const isLast = index === entries.length - 1;
+            const branch = isLast ? TREE_CHARS.LAST_BRANCH : TREE_CHARS.BRANCH;
+            const newPrefix = prefix + (isLast ? TREE_CHARS.SPACE : TREE_CHARS.PIPE);
+
+            output += `${prefix}${branch}${this.formatName(name, child)}\n`;
+            output += this.generateTree(child, newPrefix, isFolded(child) ? child.change.kind : foldKind);
+        });
+
+        return output;
+    }
+
+    formatName(name, node) {
+        const change = node.change;
+        const isDirectory = node.children.size > 0 || (change && change.type === "directory");
+        const displayName = isDirectory ? `${name}/` : name;
+        if (!change) return displayName;
+
+        const markers = {
+            added: { symbol: "+", color: chalk.green },
+            removed: { symbol: "-", color: chalk.red },
+            resized: { symbol: "~", color: chalk.yellow },
+            moved: { symbol: "→", color: chalk.blue }
+        };
+        const { symbol, color } = markers[change.kind];
+        const details = describeChange(change, node);
+        const suffix = details.length > 0 ? ' ' + chalk.gray(`(${details.join(", ")})`) : '';
+        return `${color(`${symbol} ${displayName}`)}${suffix}`;
+    }
+}
+
+export class DiffMarkdownFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(diff) {
+        let output = "";
+
+        output += `# Structure Diff\n\n`;
+        output += `- **Before**: \`${diff.before}\`\n`;
+        output += `- **After**: \`${diff.after}\`\n`;
+        output += `- **Changes**: ${summarize(diff)}\n\n`;
+
+        if (!diff.changed) {
+            output += "No structural changes.\n";
+            return output;
+        }
+
+        output += `## Changes\n\n`;
+        output += this.generateTree(buildDiffTree(diff));
+        return output;
+    }
+
+    generateTree(node, level = 0, foldKind = null) {
+        let output = "";
+
+        sortedChildren(node, foldKind).forEach(([name, child]) => {
+            const indent = "  ".repeat(level);
+            const change = child.change;
+            const isDirectory = child.children.size > 0 || (change && change.type === "directory");
+            let displayName = isDirectory ? `**${name}/**` : name;
+
+            if (change) {
+                const badges = {
+                    added: '`[+]`',
+                    removed: '`[-]`',
+                    resized: '`[~]`',
+                    moved: '`[→]`'
+                };
+                if (change.kind === "removed") {
+                    displayName = `~~${displayName}~~`;
+                }
+                const details = describeChange(change, child);
+                displayName = `${badges[change.kind]} ${displayName}`;
+                if (details.length > 0) {
+                    displayName += ` *(${details.join(", ")})*`;
+                }
+            }
+
+            output += `${indent}- ${displayName}\n`;
+            output += this.generateTree(child, level + 1, isFolded(child) ? child.change.kind : foldKind);
+        });
+
+        return output;
+    }
+}
+
+export class DiffJSONFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(diff) {
+        return JSON.stringify({
+            generated: new Date().toISOString(),
+            before: diff.before,
+            after: diff.after,
+            changed: diff.changed,
+            summary: {
+                added: diff.added.length,
+                removed: diff.removed.length,
+                moved: diff.moved.length,
+                resized: diff.resized.length
+            },
+            added: diff.added,
+            removed: diff.removed,
+            moved: diff.moved,
+            resized: diff.resized
+        }, null, 2);
+    }
+}
@@ -0,0 +1,471 @@
+import path from "path";
+import { formatBytes, formatPermissions, formatGitStatusCode, summarizeGitChanges, getRootOptions, formatPercent } from "../utils.js";
+import { BUDGET_LIMITS } from "../budgets.js";
+import { formatBudgetValue } from "./budget-formatter.js";
+
+// Self-contained HTML report: the analysis is embedded as JSON and rendered
+// by an inline script, so the file works offline without any assets.
+export class HTMLFormatter {
+    // A whole page; repostruc inject cannot place it inside a document
+    static embeddable = false;
+
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(analysisResult) {
+        return this.renderDocument([this.generateRootData(analysisResult)]);
+    }
+
+    formatMultiple(analysisResults) {
+        return this.renderDocument(analysisResults.map(result =>
+            new HTMLFormatter(getRootOptions(this.options, result)).generateRootData(result)));
+    }
+
+    generateRootData(analysisResult) {
+        const { stats, structureMap, fileInfoMap } = analysisResult;
+        const directory = path.resolve(this.options.directory || '.');
+
+        return {
+            name: path.basename(directory),
+            directory,
+            ref: analysisResult.ref || null,
+            totalSize: stats.totalSize,
+            summary: {
+                files: stats.totalFiles,
+                directories: stats.totalDirs,
+                size: formatBytes(stats.totalSize)
+            },
+            charts: [
+                ...(stats.budgets ? [this.generateBudgetChart(stats.budgets)] : []),
+                ...(this.options.findDuplicates && stats.duplicates ? [this.generateDuplicateChart(stats.duplicates)] : []),
+                ...(this.options.showStats ? this.generateCharts(stats) : [])
+            ],
+            loc: this.options.showLoc && stats.loc ? this.generateLocTable(stats.loc) : null,
+            children: this.generateNodes(structureMap, fileInfoMap),
+            errors: this.options.errors,
+            warnings: this.options.warnings
+        };
+    }
+
+    generateNodes(map, fileInfoMap, parentPath = "") {
+        const nodes = [];
+
+        map.forEach((subMap, name) => {
+            const currentPath = parentPath ? path.join(parentPath, name) : name;
+            const fileInfo = fileInfoMap.get(currentPath) || {};
+            const isDirectory = subMap.size > 0 || Boolean(fileInfo.isDirectory);
+            const node = {
+                name,
+                path: currentPath.split(path.sep).join('/'),
+                dir: isDirectory,
+                size: isDirectory ? (fileInfo.totalSize || 0) : (fileInfo.size || 0),
+                files: isDirectory ? (fileInfo.fileCount || 0) : undefined,
+                mtime: fileInfo.modified ? new Date(fileInfo.modified).toISOString() : null,
+                perm: this.options.showPermissions && fileInfo.permissions !== undefined ? formatPermissions(fileInfo.permissions) : undefined,
+                link: fileInfo.isSymlink || undefined
+            };
+
+            if (this.options.showGitStatus && fileInfo.gitStatus) {
+                node.git = fileInfo.gitStatus.isDirectory
+                    ? summarizeGitChanges(fileInfo.gitStatus.changes)
+                    : formatGitStatusCode(fileInfo.gitStatus);
+                node.gitState = fileInfo.gitStatus.state;
+            }
+            if (this.options.showLoc && fileInfo.loc && !fileInfo.loc.binary) {
+                node.loc = fileInfo.loc.code;
+            }
+            if (this.options.findDuplicates && fileInfo.duplicateGroup) {
+                node.dup = fileInfo.duplicateGroup;
+            }
+
+            const depth = currentPath.split(path.sep).length;
+            if (subMap.size > 0 && depth < this.options.maxDepth) {
+                node.children = this.generateNodes(subMap, fileInfoMap, currentPath);
+            }
+            nodes.push(node);
+        });
+
+        return nodes;
+    }
+
+    // Each chart is a list of labelled bars; `value` drives the bar width
+    generateCharts(stats) {
+        const charts = [];
+        const bars = (entries, valueOf, labelOf) => entries.map(entry => ({
+            label: labelOf(entry),
+            value: valueOf(entry),
+            display: entry.display
+        }));
+
+        const byCount = (object) => Object.entries(object)
+            .sort(([, a], [, b]) => b.count - a.count)
+            .map(([name, data]) => ({ name, value: data.count, display: `${data.count} files (${formatBytes(data.size)})` }));
+
+        if (Object.keys(stats.byCategory).length > 0) {
+            charts.push({ title: "Files by Category", bars: bars(byCount(stats.byCategory), e => e.value, e => e.name) });
+        }
+        if (Object.keys(stats.byExtension).length > 0) {
+            charts.push({ title: "Top File Extensions", bars: bars(byCount(stats.byExtension).slice(0, 10), e => e.value, e => e.name) });
+        }
+        if (stats.largestFiles.length > 0) {
+            charts.push({
+                title: "Largest Files",
+                bars: stats.largestFiles.map(file => ({ label: file.path, value: file.size, display: formatBytes(file.size) }))
+            });
+        }
+        if (stats.largestDirectories && stats.largestDirectories.length > 0) {
+            charts.push({
+                title: "Largest Directories",
+                bars: stats.largestDirectories.map(dir => ({ label: dir.path, value: dir.size, display: `${formatBytes(dir.size)}, ${dir.files} file${dir.files === 1 ? '' : 's'}` }))
+            });
+        }
+        if (stats.hottestFiles && stats.hottestFiles.length > 0) {
+            charts.push({
+                title: `Hottest Files (since ${stats.historyWindow})`,
+                bars: stats.hottestFiles.map(file => ({ label: file.path, value: file.commits, display: `${file.commits} commits, +${file.linesAdded}/-${file.linesRemoved}` }))
+            });
+        }
+
+        return charts;
+    }
+
+    // Rows of the per-language table, like the text and markdown formats
+    generateLocTable(loc) {
+        return {
+            rows: Object.entries(loc.byLanguage)
+                .sort(([, a], [, b]) => b.code - a.code)
+                .map(([language, counts]) => ({ language, ...counts })),
+            total: loc.total,
+            binaryFiles: loc.binaryFiles
+        };
+    }
+
+    // Bars are numbered like the duplicate column of the tree
+    generateDuplicateChart(duplicates) {
+        return {
+            title: `Duplicate Files (${formatBytes(duplicates.wasted)} wasted)`,
+            bars: duplicates.groups.slice(0, 10).map((group, index) => ({
+                label: `#${index + 1} ${group.files.join(", ")}`,
+                value: group.wasted,
+                display: `${group.files.length} copies of ${formatBytes(group.size)}, ${formatBytes(group.wasted)} wasted`
+            }))
+        };
+    }
+
+    // Usage in percent of each limit; `max` fixes the scale at 100% and
+    // exceeded budgets are drawn as overflowing
+    generateBudgetChart(budgets) {
+        return {
+            title: "Budgets",
+            max: 100,
+            bars: budgets.map(row => ({
+                label: `${row.path} (${BUDGET_LIMITS[row.limit]})`,
+                value: row.max > 0 ? row.usage / row.max * 100 : (row.usage > 0 ? 100 : 0),
+                over: row.exceeded,
+                display: `${formatBudgetValue(row, row.usage)} of ${formatBudgetValue(row, row.max)} (${formatPercent(row.usage, row.max)})` +
+                    (row.file ? ` · ${row.file}` : "")
+            }))
+        };
+    }
+
+    renderDocument(roots) {
+        const columns = {
+            git: this.options.showGitStatus,
+            loc: this.options.showLoc,
+            dup: this.options.findDuplicates,
+            perm: this.options.showPermissions
+        };
+        // Keep "</script>" inside the data from closing the script element
+        const data = JSON.stringify({ roots, columns, generated: new Date().toISOString() })
+            .replace(/</g, "\\u003c");
+        const title = roots.length === 1 ? `Repository Structure: ${roots[0].name}` : "Repository Structure";
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>
+${STYLES}
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHTML(title)}</h1>
+  <input id="search" type="search" placeholder="Filter by name or path…" autocomplete="off">
+  <button type="button" data-action="expand">Expand all</button>
+  <button type="button" data-action="collapse">Collapse all</button>
+</header>
+<main id="app"></main>
+<script id="repostruc-data" type="application/json">${data}</script>
+<script>
+(${clientScript.toString()})();
+</script>
+</body>
+</html>
+`;
+    }
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+const STYLES = `
+body { font: 14px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1f2328; background: #fff; }
+header { position: sticky; top: 0; background: #f6f8fa; border-bottom: 1px solid #d0d7de; padding: 12px 24px; display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
+header h1 { font-size: 18px; margin: 0 16px 0 0; }
+#search { flex: 1; min-width: 200px; padding: 6px 10px; border: 1px solid #d0d7de; border-radius: 6px; }
+button { padding: 6px 10px; border: 1px solid #d0d7de; border-radius: 6px; background: #fff; cursor: pointer; }
+main { padding: 16px 24px; }
+section.root { margin-bottom: 32px; }
+.meta { color: #656d76; margin: 4px 0 12px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { text-align: left; padding: 3px 8px; border-bottom: 1px solid #eaeef2; white-space: nowrap; }
+th { background: #f6f8fa; cursor: pointer; user-select: none; position: sticky; top: 57px; }
+th.sorted-asc::after { content: " ▲"; } th.sorted-desc::after { content: " ▼"; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+td.name { width: 100%; }
+.toggle { display: inline-block; width: 1em; cursor: pointer; color: #656d76; }
+.dir > td.name .label { font-weight: 600; color: #0969da; }
+.link .label { color: #8250df; }
+.git { font-family: ui-monospace, monospace; }
+.git-modified, .git-type-changed { color: #9a6700; } .git-added, .git-renamed, .git-copied { color: #1a7f37; }
+.git-deleted, .git-conflicted { color: #cf222e; } .git-untracked, .git-ignored { color: #656d76; }
+tr.hidden { display: none; }
+mark { background: #fff8c5; }
+.charts { display: grid; grid-template-columns: repeat(auto-fill, minmax(360px, 1fr)); gap: 16px; margin: 16px 0; }
+.chart { border: 1px solid #d0d7de; border-radius: 6px; padding: 12px; }
+.chart h3 { margin: 0 0 8px; font-size: 14px; }
+.bar { display: grid; grid-template-columns: 40% 1fr; gap: 8px; align-items: center; margin: 3px 0; font-size: 12px; }
+.bar .bar-label { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.bar .bar-track { background: #eaeef2; border-radius: 3px; position: relative; height: 16px; }
+.bar .bar-fill { background: #54aeff; height: 100%; border-radius: 3px; }
+.bar .bar-fill.over { background: #ff8182; }
+.bar .bar-value { position: absolute; left: 6px; top: 0; line-height: 16px; color: #1f2328; }
+.loc { margin: 16px 0; }
+.loc table { width: auto; }
+.loc th { cursor: default; position: static; }
+.loc tr.total td { font-weight: 600; }
+.issues { color: #9a6700; }
+`;
+
+// Runs in the browser. Kept free of template literals and outside
+// references because it is embedded through Function.prototype.toString().
+function clientScript() {
+    var data = JSON.parse(document.getElementById("repostruc-data").textContent);
+    var app = document.getElementById("app");
+    var units = ["B", "KB", "MB", "GB", "TB"];
+
+    function el(tag, className, text) {
+        var node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined && text !== null) node.textContent = text;
+        return node;
+    }
+
+    // `text` with every case-insensitive occurrence of `query` in a <mark>
+    function highlight(className, text, query) {
+        var node = el("span", className);
+        var lower = text.toLowerCase();
+        var start = 0;
+        var index = query ? lower.indexOf(query) : -1;
+        while (index !== -1) {
+            node.appendChild(document.createTextNode(text.slice(start, index)));
+            node.appendChild(el("mark", null, text.slice(index, index + query.length)));
+            start = index + query.length;
+            index = lower.indexOf(query, start);
+        }
+        node.appendChild(document.createTextNode(text.slice(start)));
+        return node;
+    }
+
+    function bytes(size) {
+        var i = 0;
+        while (size >= 1024 && i < units.length - 1) { size /= 1024; i++; }
+        return size.toFixed(2) + " " + units[i];
+    }
+
+    var columns = [
+        { key: "name", title: "Name" },
+        { key: "size", title: "Size", num: true },
+        { key: "mtime", title: "Modified" }
+    ];
+    if (data.columns.perm) columns.push({ key: "perm", title: "Mode" });
+    if (data.columns.loc) columns.push({ key: "loc", title: "LOC", num: true });
+    if (data.columns.git) columns.push({ key: "git", title: "Git" });
+    if (data.columns.dup) columns.push({ key: "dup", title: "Duplicate", num: true });
+
+    function compare(key, direction) {
+        return function (a, b) {
+            var x = a[key], y = b[key];
+            if (key === "name") {
+                if (a.dir !== b.dir) return a.dir ? -1 : 1;
+                return direction * String(x).localeCompare(String(y));
+            }
+            if (x === undefined || x === null) return 1;
+            if (y === undefined || y === null) return -1;
+            if (typeof x === "number") return direction * (x - y);
+            return direction * String(x).localeCompare(String(y));
+        };
+    }
+
+    function renderRoot(root) {
+        var section = el("section", "root");
+        section.appendChild(el("h2", null, root.name + (root.ref ? " @ " + root.ref : "")));
+        section.appendChild(el("div", "meta", root.directory + " · " + root.summary.files + " files · " +
+            root.summary.directories + " directories · " + root.summary.size + " · generated " + data.generated));
+
+        if (root.charts.length > 0) {
+            var charts = el("div", "charts");
+            root.charts.forEach(function (chart) {
+                var box = el("div", "chart");
+                box.appendChild(el("h3", null, chart.title));
+                var max = chart.max || Math.max.apply(null, chart.bars.map(function (bar) { return bar.value; }).concat([1]));
+                chart.bars.forEach(function (bar) {
+                    var row = el("div", "bar");
+                    var label = el("span", "bar-label", bar.label);
+                    label.title = bar.label;
+                    var track = el("span", "bar-track");
+                    var fill = el("span", bar.over ? "bar-fill over" : "bar-fill");
+                    fill.style.display = "block";
+                    fill.style.width = Math.min(bar.value / max * 100, 100).toFixed(1) + "%";
+                    track.appendChild(fill);
+                    track.appendChild(el("span", "bar-value", bar.display || String(bar.value)));
+                    row.appendChild(label);
+                    row.appendChild(track);
+                    box.appendChild(row);
+                });
+                charts.appendChild(box);
+            });
+            section.appendChild(charts);
+        }
+
+        if (root.loc) {
+            var loc = el("div", "loc");
+            loc.appendChild(el("h3", null, "Lines of Code"));
+            var locTable = el("table");
+            var locHead = el("tr");
+            ["Language", "Files", "Blank", "Comment", "Code"].forEach(function (title) {
+                locHead.appendChild(el("th", null, title));
+            });
+            locTable.appendChild(locHead);
+            root.loc.rows.concat([{ language: "SUM", total: true, files: root.loc.total.files, blank: root.loc.total.blank,
+                comment: root.loc.total.comment, code: root.loc.total.code }]).forEach(function (counts) {
+                var row = el("tr", counts.total ? "total" : null);
+                row.appendChild(el("td", null, counts.language));
+                ["files", "blank", "comment", "code"].forEach(function (key) {
+                    row.appendChild(el("td", "num", String(counts[key])));
+                });
+                locTable.appendChild(row);
+            });
+            loc.appendChild(locTable);
+            if (root.loc.binaryFiles > 0) {
+                loc.appendChild(el("div", "meta", root.loc.binaryFiles + " binary files skipped"));
+            }
+            section.appendChild(loc);
+        }
+
+        var table = el("table");
+        var head = el("tr");
+        var tbody = el("tbody");
+        var sortState = { key: "name", direction: 1 };
+
+        columns.forEach(function (column) {
+            var th = el("th", null, column.title);
+            th.addEventListener("click", function () {
+                sortState.direction = sortState.key === column.key ? -sortState.direction : (column.num ? -1 : 1);
+                sortState.key = column.key;
+                Array.prototype.forEach.call(head.children, function (cell) { cell.className = ""; });
+                th.className = sortState.direction === 1 ? "sorted-asc" : "sorted-desc";
+                draw();
+            });
+            head.appendChild(th);
+        });
+        var thead = el("thead");
+        thead.appendChild(head);
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        section.appendChild(table);
+
+        var collapsed = {};
+        function draw() {
+            var query = search.value.trim().toLowerCase();
+            tbody.textContent = "";
+            addRows(root.children, 0, query);
+        }
+
+        function matches(node, query) {
+            if (!query) return true;
+            if (node.path.toLowerCase().indexOf(query) !== -1) return true;
+            return (node.children || []).some(function (child) { return matches(child, query); });
+        }
+
+        function addRows(nodes, depth, query) {
+            nodes.slice().sort(compare(sortState.key, sortState.direction)).forEach(function (node) {
+                if (!matches(node, query)) return;
+                var tr = el("tr", (node.dir ? "dir" : "file") + (node.link ? " link" : ""));
+                columns.forEach(function (column) {
+                    var td = el("td", column.num ? "num" : column.key);
+                    if (column.key === "name") {
+                        td.style.paddingLeft = (8 + depth * 18) + "px";
+                        var toggle = el("span", "toggle", node.children ? (collapsed[node.path] && !query ? "▸" : "▾") : "");
+                        toggle.addEventListener("click", function () {
+                            collapsed[node.path] = !collapsed[node.path];
+                            draw();
+                        });
+                        td.appendChild(toggle);
+                        td.appendChild(highlight("label", node.name + (node.dir ? "/" : "") + (node.link ? " →" : ""), query));
+                    } else if (column.key === "size") {
+                        td.textContent = bytes(node.size) + (node.dir ? " (" + node.files + " files)" : "");
+                    } else if (column.key === "mtime") {
+                        td.textContent = node.mtime ? node.mtime.split("T")[0] : "";
+                    } else if (column.key === "git") {
+                        td.textContent = node.git || "";
+                        td.className = "git git-" + (node.gitState || "none");
+                    } else if (column.key === "dup") {
+                        td.textContent = node.dup ? "#" + node.dup : "";
+                    } else {
+                        td.textContent = node[column.key] === undefined ? "" : node[column.key];
+                    }
+                    tr.appendChild(td);
+                });
+                tbody.appendChild(tr);
+                if (node.children && (query || !collapsed[node.path])) {
+                    addRows(node.children, depth + 1, query);
+                }
+            });
+        }
+
+        function setAll(nodes, value) {
+            nodes.forEach(function (node) {
+                if (node.children) {
+                    collapsed[node.path] = value;
+                    setAll(node.children, value);
+                }
+            });
+        }
+
+        search.addEventListener("input", draw);
+        document.querySelector("[data-action=expand]").addEventListener("click", function () { setAll(root.children, false); draw(); });
+        document.querySelector("[data-action=collapse]").addEventListener("click", function () { setAll(root.children, true); draw(); });
+
+        if (root.errors.length > 0 || root.warnings.length > 0) {
+            var issues = el("div", "issues");
+            root.errors.concat(root.warnings).forEach(function (issue) { issues.appendChild(el("div", null, issue)); });
+            section.appendChild(issues);
+        }
+
+        draw();
+        return section;
+    }
+
+    var search = document.getElementById("search");
+    data.roots.forEach(function (root) { app.appendChild(renderRoot(root)); });
+}
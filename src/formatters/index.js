@@ -1,17 +1,75 @@
 import { TextFormatter } from "./text-formatter.js";
 import { JSONFormatter } from "./json-formatter.js";
 import { MarkdownFormatter } from "./markdown-formatter.js";
+import { HTMLFormatter } from "./html-formatter.js";
+import { ManifestFormatter } from "./manifest-formatter.js";
+import { MermaidFormatter, DotFormatter } from "./diagram-formatter.js";
+import { CSVFormatter, TSVFormatter, NDJSONFormatter } from "./table-formatter.js";
+import { getRootOptions } from "../utils.js";
+
+// Format name -> { name, Formatter, description, source }. Built-in formats
+// are registered below; plugins add theirs through registerFormatter().
+const formatters = new Map();
+
+export function registerFormatter(name, Formatter, details = {}) {
+    const existing = formatters.get(name);
+    if (existing) {
+        // Loading the same plugin twice is harmless
+        if (existing.Formatter === Formatter) return;
+        throw new Error(`Format "${name}" is already defined by ${existing.source}`);
+    }
+    formatters.set(name, {
+        name,
+        Formatter,
+        description: details.description || "",
+        source: details.source || "built-in"
+    });
+}
+
+registerFormatter("txt", TextFormatter, { description: "Directory tree as plain text (default)" });
+registerFormatter("json", JSONFormatter, { description: "Structure and statistics as JSON" });
+registerFormatter("markdown", MarkdownFormatter, { description: "Markdown document with a nested list" });
+registerFormatter("html", HTMLFormatter, { description: "Self-contained interactive HTML report" });
+registerFormatter("mermaid", MermaidFormatter, { description: "Mermaid flowchart of the directory tree" });
+registerFormatter("dot", DotFormatter, { description: "Graphviz DOT graph of the directory tree" });
+registerFormatter("csv", CSVFormatter, { description: "One row per entry, comma-separated" });
+registerFormatter("tsv", TSVFormatter, { description: "One row per entry, tab-separated" });
+registerFormatter("ndjson", NDJSONFormatter, { description: "One JSON object per entry and line" });
+registerFormatter("manifest", ManifestFormatter, { description: "Every file with size, mode and SHA-256, for repostruc verify" });
+
+export function listFormatters() {
+    return Array.from(formatters.values());
+}
+
+export function findFormatter(format) {
+    const entry = formatters.get(format);
+    if (!entry) {
+        throw new Error(`Unknown format "${format}" (available: ${Array.from(formatters.keys()).join(", ")})`);
+    }
+    return entry;
+}
 
 export function getFormatter(format, options) {
-    switch (format) {
-        case 'json':
-            return new JSONFormatter(options);
-        case 'markdown':
-            return new MarkdownFormatter(options);
-        case 'txt':
-        default:
-            return new TextFormatter(options);
+    return new (findFormatter(format).Formatter)(options);
+}
+
+// Renders one analysis result, or several analyzed roots into one document
+export function formatResults(format, options, analysisResults) {
+    if (!Array.isArray(analysisResults)) {
+        return getFormatter(format, options).format(analysisResults);
+    }
+    if (analysisResults.length === 1) {
+        return getFormatter(format, getRootOptions(options, analysisResults[0])).format(analysisResults[0]);
+    }
+
+    const formatter = getFormatter(format, options);
+    if (typeof formatter.formatMultiple !== "function") {
+        // Plugins do not have to support several roots themselves
+        return analysisResults
+            .map(result => getFormatter(format, getRootOptions(options, result)).format(result))
+            .join("\n");
     }
+    return formatter.formatMultiple(analysisResults);
 }
 
-export { TextFormatter, JSONFormatter, MarkdownFormatter };
\ No newline at end of file
+export { TextFormatter, JSONFormatter, MarkdownFormatter, HTMLFormatter, ManifestFormatter, MermaidFormatter, DotFormatter, CSVFormatter, TSVFormatter, NDJSONFormatter };
@@ -1,5 +1,5 @@
 import path from "path";
-import { formatPermissions } from "../utils.js";
+import { formatPermissions, getRootOptions } from "../utils.js";
 
 export class JSONFormatter {
     constructor(options) {
@@ -7,18 +7,40 @@ export class JSONFormatter {
     }
 
     format(analysisResult) {
-        const { stats, structureMap, fileInfoMap } = analysisResult;
-        
+        return JSON.stringify(this.generateJSONOutput(analysisResult), null, 2);
+    }
+
+    formatMultiple(analysisResults) {
         const jsonOutput = {
             generated: new Date().toISOString(),
-            directory: path.resolve(this.options.directory || '.'),
+            roots: analysisResults.map(result => {
+                const formatter = new JSONFormatter(getRootOptions(this.options, result));
+                const { generated, ...root } = formatter.generateJSONOutput(result);
+                return root;
+            })
+        };
+
+        return JSON.stringify(jsonOutput, null, 2);
+    }
+
+    generateJSONOutput(analysisResult) {
+        const { stats, structureMap, fileInfoMap } = analysisResult;
+        this.totalSize = stats.totalSize;
+        
+        return {
+            generated: this.options.embedded ? undefined : new Date().toISOString(),
+            directory: this.options.embedded ? this.options.rootLabel : path.resolve(this.options.directory || '.'),
+            ref: analysisResult.ref || undefined,
             structure: this.generateJSONStructure(structureMap, fileInfoMap),
             stats: this.options.showStats ? stats : undefined,
+            loc: this.options.showLoc ? stats.loc : undefined,
+            duplicates: this.options.findDuplicates ? stats.duplicates : undefined,
+            deps: this.options.showDeps ? stats.deps : undefined,
+            packages: this.options.showWorkspaces ? stats.packages : undefined,
+            budgets: stats.budgets,
             errors: this.options.errors.length > 0 ? this.options.errors : undefined,
             warnings: this.options.warnings.length > 0 ? this.options.warnings : undefined
         };
-        
-        return JSON.stringify(jsonOutput, null, 2);
     }
 
     generateJSONStructure(map, fileInfoMap, parentPath = "") {
@@ -40,8 +62,17 @@ export class JSONFormatter {
             }
             
             if (fileInfo) {
-                if (this.options.showSizes && !fileInfo.isDirectory) {
-                    result[name].size = fileInfo.size;
+                if (this.options.showSizes) {
+                    if (fileInfo.isDirectory) {
+                        // Recursive totals; percent of the whole analyzed root
+                        result[name].size = fileInfo.totalSize || 0;
+                        result[name].fileCount = fileInfo.fileCount || 0;
+                        result[name].percent = this.totalSize > 0
+                            ? Number(((fileInfo.totalSize || 0) / this.totalSize * 100).toFixed(2))
+                            : 0;
+                    } else {
+                        result[name].size = fileInfo.size;
+                    }
                 }
                 if (this.options.showTimestamps) {
                     result[name].modified = fileInfo.modified;
@@ -52,6 +83,18 @@ export class JSONFormatter {
                 if (this.options.showGitStatus && fileInfo.gitStatus) {
                     result[name].gitStatus = fileInfo.gitStatus;
                 }
+                if (this.options.showLoc && fileInfo.loc) {
+                    result[name].loc = fileInfo.loc;
+                }
+                if (this.options.showGitHistory && fileInfo.history) {
+                    result[name].history = fileInfo.history;
+                }
+                if (this.options.findDuplicates && fileInfo.duplicateGroup) {
+                    result[name].duplicateGroup = fileInfo.duplicateGroup;
+                }
+                if (this.options.showWorkspaces && fileInfo.packageName) {
+                    result[name].package = fileInfo.packageName;
+                }
             }
         });
         
@@ -0,0 +1,125 @@
+import fs from "fs";
+import { pathToFileURL } from "url";
+import chalk from "chalk";
+import { LINT_RULES } from "../lint.js";
+
+// Formatters for the result of `repostruc lint`: { directory, violations }
+
+export function getLintFormatter(format, options) {
+    switch (format) {
+        case 'json':
+            return new LintJSONFormatter(options);
+        case 'sarif':
+            return new LintSARIFFormatter(options);
+        case 'txt':
+            return new LintTextFormatter(options);
+        default:
+            throw new Error(`Unknown lint format "${format}" (expected txt, json or sarif)`);
+    }
+}
+
+function countBySeverity(violations) {
+    return {
+        errors: violations.filter(violation => violation.severity === "error").length,
+        warnings: violations.filter(violation => violation.severity === "warning").length
+    };
+}
+
+export class LintTextFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(report) {
+        let output = "Structure Lint:\n";
+        output += "=".repeat(60) + "\n";
+        output += `Directory: ${report.directory}\n`;
+        output += "-".repeat(60) + "\n\n";
+
+        if (report.violations.length === 0) {
+            output += chalk.green("✓ No problems found") + "\n";
+            return output;
+        }
+
+        // Grouped by path like eslint's stylish output
+        const byPath = new Map();
+        report.violations.forEach(violation => {
+            if (!byPath.has(violation.path)) byPath.set(violation.path, []);
+            byPath.get(violation.path).push(violation);
+        });
+
+        const width = Math.max(...report.violations.map(violation => violation.message.length));
+        byPath.forEach((violations, file) => {
+            output += chalk.underline(file) + "\n";
+            violations.forEach(violation => {
+                const severity = violation.severity === "error" ? chalk.red("error  ") : chalk.yellow("warning");
+                output += `  ${severity}  ${violation.message.padEnd(width)}  ${chalk.gray(violation.rule)}\n`;
+            });
+            output += "\n";
+        });
+
+        const { errors, warnings } = countBySeverity(report.violations);
+        const total = errors + warnings;
+        const summary = `✖ ${total} ${total === 1 ? "problem" : "problems"} (${errors} ${errors === 1 ? "error" : "errors"}, ${warnings} ${warnings === 1 ? "warning" : "warnings"})`;
+        output += (errors > 0 ? chalk.red(summary) : chalk.yellow(summary)) + "\n";
+        return output;
+    }
+}
+
+export class LintJSONFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(report) {
+        return JSON.stringify({
+            generated: new Date().toISOString(),
+            directory: report.directory,
+            summary: countBySeverity(report.violations),
+            violations: report.violations
+        }, null, 2);
+    }
+}
+
+// SARIF 2.1.0, as understood by GitHub code scanning and other CI tools.
+// Locations are relative to the analyzed directory.
+export class LintSARIFFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(report) {
+        const pkg = JSON.parse(fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8"));
+
+        return JSON.stringify({
+            $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+            version: "2.1.0",
+            runs: [{
+                tool: {
+                    driver: {
+                        name: "repostruc",
+                        version: pkg.version,
+                        informationUri: pkg.homepage,
+                        rules: Object.entries(LINT_RULES).map(([id, description]) => ({
+                            id,
+                            shortDescription: { text: description }
+                        }))
+                    }
+                },
+                originalUriBaseIds: {
+                    ROOT: { uri: `${pathToFileURL(report.directory).href}/` }
+                },
+                results: report.violations.map(violation => ({
+                    ruleId: violation.rule,
+                    level: violation.severity,
+                    message: { text: violation.message },
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: violation.path === "." ? "" : violation.path, uriBaseId: "ROOT" }
+                        }
+                    }]
+                }))
+            }]
+        }, null, 2);
+    }
+}
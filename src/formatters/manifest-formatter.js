@@ -0,0 +1,62 @@
+import path from "path";
+import { formatPermissions, getRootOptions } from "../utils.js";
+
+// Every file with its size, mode and SHA-256, plus the settings that decided
+// which files were included, so `repostruc verify` can walk a directory the
+// same way and compare it.
+export class ManifestFormatter {
+    // Asks the analyzer to hash every file
+    static contentHashes = true;
+    // Timestamped and tied to an absolute path; not for repostruc inject
+    static embeddable = false;
+
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(analysisResult) {
+        return JSON.stringify(this.generateManifest(analysisResult), null, 2);
+    }
+
+    formatMultiple(analysisResults) {
+        return JSON.stringify({
+            manifest: 1,
+            generated: new Date().toISOString(),
+            roots: analysisResults.map(result => {
+                const { manifest, generated, ...root } = new ManifestFormatter(getRootOptions(this.options, result)).generateManifest(result);
+                return root;
+            })
+        }, null, 2);
+    }
+
+    generateManifest(analysisResult) {
+        const files = [];
+        analysisResult.fileInfoMap.forEach((fileInfo, file) => {
+            if (fileInfo.isDirectory) return;
+            files.push({
+                path: file.split(path.sep).join("/"),
+                size: fileInfo.size,
+                mode: formatPermissions(fileInfo.permissions),
+                sha256: fileInfo.hash || null
+            });
+        });
+        files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+        return {
+            manifest: 1,
+            generated: new Date().toISOString(),
+            directory: path.resolve(this.options.directory || '.'),
+            ref: analysisResult.ref || undefined,
+            settings: {
+                ignore: this.options.ignorePatterns,
+                include: this.options.includePatterns,
+                gitignore: this.options.useGitignore,
+                hidden: this.options.showHidden,
+                followSymlinks: this.options.followSymlinks,
+                hideConfig: this.options.hideConfig,
+                depth: this.options.maxDepth === Infinity ? null : this.options.maxDepth
+            },
+            files
+        };
+    }
+}
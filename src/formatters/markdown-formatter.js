@@ -1,5 +1,8 @@
 import path from "path";
-import { formatBytes, sortEntries } from "../utils.js";
+import { generateBudgetMarkdown } from "./budget-formatter.js";
+import { generateDependencyMarkdown } from "./deps-formatter.js";
+import { MermaidFormatter } from "./diagram-formatter.js";
+import { formatBytes, sortEntries, getRootOptions, formatGitStatusCode, summarizeGitChanges, describeGitStatus, formatHistory, formatTimestamp, formatDirectorySize, formatPercent } from "../utils.js";
 
 export class MarkdownFormatter {
     constructor(options) {
@@ -7,22 +10,66 @@ export class MarkdownFormatter {
     }
 
     format(analysisResult) {
-        const { stats, structureMap, fileInfoMap } = analysisResult;
+        // Embedded in another document (repostruc inject): no title or
+        // timestamp, sections nested below the document's own heading
+        if (this.options.embedded) {
+            return this.generateRootSection(analysisResult, 3);
+        }
+
+        let output = "";
+
+        output += `# Repository Structure\n\n`;
+        output += `Generated on: ${new Date().toISOString()}\n\n`;
+        output += this.generateRootSection(analysisResult, 2);
+        
+        return output;
+    }
+
+    formatMultiple(analysisResults) {
         let output = "";
 
         output += `# Repository Structure\n\n`;
         output += `Generated on: ${new Date().toISOString()}\n\n`;
-        output += `## Directory Tree\n\n`;
+        analysisResults.forEach(result => {
+            const formatter = new MarkdownFormatter(getRootOptions(this.options, result));
+            output += `## ${path.basename(path.resolve(formatter.options.directory || '.'))}\n\n`;
+            output += `Directory: \`${path.resolve(formatter.options.directory || '.')}\`\n\n`;
+            output += formatter.generateRootSection(result, 3) + "\n";
+        });
+        
+        return output;
+    }
+
+    // Tree, statistics and issues for one root; `level` is the heading level
+    // of its sections so several roots can be nested under their own headings
+    generateRootSection(analysisResult, level) {
+        const { stats, structureMap, fileInfoMap } = analysisResult;
+        this.totalSize = stats.totalSize;
+        const h = "#".repeat(level);
+        const sub = "#".repeat(level + 1);
+        let output = "";
+
+        if (analysisResult.ref) {
+            output += `Revision: \`${analysisResult.ref}\`\n\n`;
+        }
+        if (!this.options.embedded) {
+            output += `${h} Directory Tree\n\n`;
+        }
         output += this.generateMarkdownStructure(structureMap, fileInfoMap);
+
+        if (this.options.embedDiagram) {
+            output += `\n${h} Diagram\n\n`;
+            output += "```mermaid\n" + new MermaidFormatter(this.options).format(analysisResult) + "```\n";
+        }
         
         if (this.options.showStats) {
-            output += `\n## Statistics\n\n`;
+            output += `\n${h} Statistics\n\n`;
             output += `- **Total Files**: ${stats.totalFiles}\n`;
             output += `- **Total Directories**: ${stats.totalDirs}\n`;
             output += `- **Total Size**: ${formatBytes(stats.totalSize)}\n\n`;
             
             if (Object.keys(stats.byCategory).length > 0) {
-                output += `### Files by Category\n\n`;
+                output += `${sub} Files by Category\n\n`;
                 Object.entries(stats.byCategory)
                     .sort(([, a], [, b]) => b.count - a.count)
                     .forEach(([category, data]) => {
@@ -32,7 +79,7 @@ export class MarkdownFormatter {
             }
 
             if (Object.keys(stats.byExtension).length > 0) {
-                output += `### Top File Extensions\n\n`;
+                output += `${sub} Top File Extensions\n\n`;
                 Object.entries(stats.byExtension)
                     .sort(([, a], [, b]) => b.count - a.count)
                     .slice(0, 10)
@@ -43,7 +90,7 @@ export class MarkdownFormatter {
             }
 
             if (stats.largestFiles.length > 0) {
-                output += `### Largest Files\n\n`;
+                output += `${sub} Largest Files\n\n`;
                 output += "| File | Size |\n";
                 output += "|------|------|\n";
                 stats.largestFiles.forEach(file => {
@@ -51,13 +98,99 @@ export class MarkdownFormatter {
                 });
                 output += "\n";
             }
+
+            if (stats.largestDirectories && stats.largestDirectories.length > 0) {
+                output += `${sub} Largest Directories\n\n`;
+                output += "| Directory | Size | Files | Share |\n";
+                output += "|-----------|------|-------|-------|\n";
+                stats.largestDirectories.forEach(dir => {
+                    output += `| ${dir.path} | ${formatBytes(dir.size)} | ${dir.files} | ${formatPercent(dir.size, stats.totalSize)} |\n`;
+                });
+                output += "\n";
+            }
+
+            if (stats.hottestFiles && stats.hottestFiles.length > 0) {
+                output += `${sub} Hottest Files (since ${stats.historyWindow})\n\n`;
+                output += "| File | Commits | Lines Added | Lines Removed |\n";
+                output += "|------|---------|-------------|---------------|\n";
+                stats.hottestFiles.forEach(file => {
+                    output += `| ${file.path} | ${file.commits} | +${file.linesAdded} | -${file.linesRemoved} |\n`;
+                });
+                output += "\n";
+            }
+
+            if (stats.stalestFiles && stats.stalestFiles.length > 0) {
+                output += `${sub} Stalest Files\n\n`;
+                output += "| File | Last Commit | Author |\n";
+                output += "|------|-------------|--------|\n";
+                stats.stalestFiles.forEach(file => {
+                    output += `| ${file.path} | ${formatTimestamp(file.lastCommit)} | ${file.lastAuthor} |\n`;
+                });
+                output += "\n";
+            }
+        }
+
+        if (this.options.showLoc && stats.loc) {
+            output += `\n${h} Lines of Code\n\n`;
+            output += "| Language | Files | Blank | Comment | Code |\n";
+            output += "|----------|------:|------:|--------:|-----:|\n";
+            Object.entries(stats.loc.byLanguage)
+                .sort(([, a], [, b]) => b.code - a.code)
+                .forEach(([language, counts]) => {
+                    output += `| ${language} | ${counts.files} | ${counts.blank} | ${counts.comment} | ${counts.code} |\n`;
+                });
+            const total = stats.loc.total;
+            output += `| **SUM** | **${total.files}** | **${total.blank}** | **${total.comment}** | **${total.code}** |\n\n`;
+            if (stats.loc.binaryFiles > 0) {
+                output += `*${stats.loc.binaryFiles} binary files skipped*\n\n`;
+            }
+        }
+
+        if (this.options.findDuplicates && stats.duplicates) {
+            output += `\n${h} Duplicate Files\n\n`;
+            if (stats.duplicates.groups.length === 0) {
+                output += "No duplicate files found\n\n";
+            } else {
+                output += `${stats.duplicates.groups.length} group${stats.duplicates.groups.length === 1 ? '' : 's'}, ${stats.duplicates.files} files, **${formatBytes(stats.duplicates.wasted)} wasted**\n\n`;
+                output += "| # | Copies | Size | Wasted | Files |\n";
+                output += "|--:|-------:|-----:|-------:|-------|\n";
+                stats.duplicates.groups.forEach((group, index) => {
+                    output += `| ${index + 1} | ${group.files.length} | ${formatBytes(group.size)} | ${formatBytes(group.wasted)} | ${group.files.map(file => `\`${file}\``).join("<br>")} |\n`;
+                });
+                output += "\n";
+            }
+        }
+
+        if (this.options.showWorkspaces && stats.packages) {
+            output += `\n${h} Packages\n\n`;
+            if (stats.packages.length === 0) {
+                output += "No workspace packages found\n\n";
+            } else {
+                const withLoc = stats.packages.some(pkg => pkg.loc !== undefined);
+                output += `| Package | Path | Manager | Files | Size |${withLoc ? " Code |" : ""}\n`;
+                output += `|---------|------|---------|------:|-----:|${withLoc ? "-----:|" : ""}\n`;
+                stats.packages.forEach(pkg => {
+                    output += `| ${pkg.name} | \`${pkg.path}/\` | ${pkg.manager} | ${pkg.files} | ${formatBytes(pkg.size)} |${withLoc ? ` ${pkg.loc} |` : ""}\n`;
+                });
+                output += "\n";
+            }
+        }
+
+        if (this.options.showDeps && stats.deps) {
+            output += `\n${h} Dependencies\n\n`;
+            output += generateDependencyMarkdown(stats.deps, sub);
+        }
+
+        if (stats.budgets) {
+            output += `\n${h} Budgets\n\n`;
+            output += generateBudgetMarkdown(stats.budgets);
         }
 
         if (this.options.errors.length > 0 || this.options.warnings.length > 0) {
-            output += `## Issues\n\n`;
+            output += `${h} Issues\n\n`;
             
             if (this.options.errors.length > 0) {
-                output += `### Errors (${this.options.errors.length})\n\n`;
+                output += `${sub} Errors (${this.options.errors.length})\n\n`;
                 this.options.errors.forEach(error => {
                     output += `- ${error}\n`;
                 });
@@ -65,7 +198,7 @@ export class MarkdownFormatter {
             }
             
             if (this.options.warnings.length > 0) {
-                output += `### Warnings (${this.options.warnings.length})\n\n`;
+                output += `${sub} Warnings (${this.options.warnings.length})\n\n`;
                 this.options.warnings.forEach(warning => {
                     output += `- ${warning}\n`;
                 });
@@ -80,7 +213,7 @@ export class MarkdownFormatter {
         let output = "";
         const entries = Array.from(map.entries());
         
-        const sortedEntries = sortEntries(entries, fileInfoMap, parentPath);
+        const sortedEntries = sortEntries(entries, fileInfoMap, parentPath, this.options.sortBy);
 
         sortedEntries.forEach(([name, subMap]) => {
             const currentPath = parentPath ? path.join(parentPath, name) : name;
@@ -97,8 +230,10 @@ export class MarkdownFormatter {
             // Add additional info based on options
             const extras = [];
             
-            if (this.options.showSizes && fileInfo && !fileInfo.isDirectory) {
-                extras.push(`*${formatBytes(fileInfo.size)}*`);
+            if (this.options.showSizes && fileInfo) {
+                extras.push(fileInfo.isDirectory
+                    ? `*${formatDirectorySize(fileInfo, this.totalSize)}*`
+                    : `*${formatBytes(fileInfo.size)}*`);
             }
             
             if (this.options.showTimestamps && fileInfo) {
@@ -111,6 +246,22 @@ export class MarkdownFormatter {
                 extras.push(statusBadge);
             }
             
+            if (this.options.showLoc && fileInfo && fileInfo.loc && !fileInfo.loc.binary) {
+                extras.push(`\`${fileInfo.loc.code} loc\``);
+            }
+            
+            if (this.options.showGitHistory && fileInfo && fileInfo.history) {
+                extras.push(`*${formatHistory(fileInfo.history)}*`);
+            }
+            
+            if (this.options.showWorkspaces && fileInfo && fileInfo.packageName) {
+                extras.push(`\`package ${fileInfo.packageName}\``);
+            }
+            
+            if (this.options.findDuplicates && fileInfo && fileInfo.duplicateGroup) {
+                extras.push(`\`duplicate #${fileInfo.duplicateGroup}\``);
+            }
+            
             if (fileInfo && fileInfo.isSymlink) {
                 extras.push('`→ symlink`');
             }
@@ -135,13 +286,12 @@ export class MarkdownFormatter {
     }
 
     getGitStatusBadge(status) {
-        const badges = {
-            modified: '`[M]`',
-            added: '`[A]`',
-            deleted: '`[D]`',
-            untracked: '`[?]`',
-            renamed: '`[R]`'
-        };
-        return badges[status] || '`[?]`';
+        if (status.isDirectory) {
+            return `\`[${summarizeGitChanges(status.changes)}]\``;
+        }
+
+        const details = describeGitStatus(status);
+        const badge = `\`[${formatGitStatusCode(status)}]\``;
+        return details.length > 0 ? `${badge} *(${details.join('; ')})*` : badge;
     }
 }
\ No newline at end of file
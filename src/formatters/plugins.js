@@ -0,0 +1,69 @@
+import { createRequire } from "module";
+import path from "path";
+import { pathToFileURL } from "url";
+import { registerFormatter } from "./index.js";
+
+// A format plugin is a local module or an npm package whose default export
+// is a format definition, or an array of them:
+//
+//     export default { name: "csv", description: "One row per entry", Formatter: CsvFormatter };
+//
+// `Formatter` is constructed with the resolved settings and must implement
+// format(analysisResult), which receives the full result of
+// Analyzer.analyze(). formatMultiple(analysisResults) is optional; without
+// it every root is rendered on its own.
+
+export async function loadFormatPlugin(specifier, baseDir = process.cwd()) {
+    let module;
+    try {
+        module = await import(resolvePlugin(specifier, baseDir));
+    } catch (error) {
+        throw new Error(`Could not load format plugin ${specifier}: ${error.message}`);
+    }
+
+    const definitions = module.default === undefined ? [] : [].concat(module.default);
+    if (definitions.length === 0) {
+        throw new Error(`Format plugin ${specifier} has no default export`);
+    }
+
+    definitions.forEach(definition => {
+        if (!definition || typeof definition.name !== "string" || !definition.name) {
+            throw new Error(`Format plugin ${specifier} exports a format without a name`);
+        }
+        if (typeof definition.Formatter !== "function" || typeof definition.Formatter.prototype.format !== "function") {
+            throw new Error(`Format "${definition.name}" from ${specifier} needs a Formatter class with a format() method`);
+        }
+        registerFormatter(definition.name, definition.Formatter, {
+            description: definition.description,
+            source: specifier
+        });
+    });
+
+    return definitions.map(definition => definition.name);
+}
+
+// `plugins` is a list of { specifier, baseDir } as produced by
+// ConfigManager.applyConfiguration
+export async function loadFormatPlugins(plugins) {
+    for (const { specifier, baseDir } of plugins) {
+        await loadFormatPlugin(specifier, baseDir);
+    }
+}
+
+export function isPluginPath(specifier) {
+    return specifier.startsWith(".") || path.isAbsolute(specifier);
+}
+
+// Local paths are relative to `baseDir`. Packages are looked up from
+// `baseDir` first (the project's node_modules), then from repostruc's own.
+function resolvePlugin(specifier, baseDir) {
+    if (isPluginPath(specifier)) {
+        return pathToFileURL(path.resolve(baseDir, specifier)).href;
+    }
+    try {
+        const require = createRequire(path.join(path.resolve(baseDir), "index.js"));
+        return pathToFileURL(require.resolve(specifier)).href;
+    } catch {
+        return specifier;
+    }
+}
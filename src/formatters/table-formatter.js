@@ -0,0 +1,124 @@
+import path from "path";
+import { formatPermissions, formatGitStatusCode, summarizeGitChanges, getFileCategory, sortEntries } from "../utils.js";
+
+// Row-oriented exports with one row per entry, for spreadsheets, jq or
+// DuckDB. Directories report their recursive size. Cells are empty (null in
+// NDJSON) when the data was not collected, e.g. git status without
+// --git-status.
+
+export const TABLE_COLUMNS = {
+    root: (row) => row.root,
+    path: (row) => row.path,
+    type: (row) => (row.isDirectory ? "directory" : "file"),
+    depth: (row) => row.depth,
+    size: (row) => (row.isDirectory ? (row.fileInfo.totalSize || 0) : row.fileInfo.size),
+    extension: (row) => (row.isDirectory ? null : path.extname(row.path) || null),
+    category: (row) => (row.isDirectory ? null : getFileCategory(path.extname(row.path))),
+    mtime: (row) => (row.fileInfo.modified ? new Date(row.fileInfo.modified).toISOString() : null),
+    permissions: (row) => (row.fileInfo.permissions !== undefined ? formatPermissions(row.fileInfo.permissions) : null),
+    gitStatus: (row) => {
+        const status = row.fileInfo.gitStatus;
+        if (!status) return null;
+        return status.isDirectory ? summarizeGitChanges(status.changes) : formatGitStatusCode(status);
+    },
+    symlink: (row) => Boolean(row.fileInfo.isSymlink)
+};
+
+const DEFAULT_COLUMNS = Object.keys(TABLE_COLUMNS).filter(column => column !== "root");
+
+// Validates a column list from --columns or the configuration; null keeps
+// the default columns
+export function parseColumns(columns) {
+    if (!columns) return null;
+
+    const list = (Array.isArray(columns) ? columns : String(columns).split(","))
+        .map(column => column.trim())
+        .filter(Boolean);
+    const unknown = list.filter(column => !TABLE_COLUMNS[column]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown column "${unknown[0]}" (available: ${Object.keys(TABLE_COLUMNS).join(", ")})`);
+    }
+    return list;
+}
+
+export class TableFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(analysisResult) {
+        const columns = this.options.columns || DEFAULT_COLUMNS;
+        return this.render(columns, this.collectRows(analysisResult).map(row => this.toValues(columns, row)));
+    }
+
+    // Rows of all roots in one table; the root column tells them apart
+    formatMultiple(analysisResults) {
+        const columns = this.options.columns || ["root", ...DEFAULT_COLUMNS];
+        const rows = analysisResults.flatMap(result => this.collectRows(result, result.directory));
+        return this.render(columns, rows.map(row => this.toValues(columns, row)));
+    }
+
+    collectRows(analysisResult, directory = this.options.directory) {
+        const { structureMap, fileInfoMap } = analysisResult;
+        const root = directory || ".";
+        const rows = [];
+
+        const walk = (map, parentPath, depth) => {
+            sortEntries(Array.from(map.entries()), fileInfoMap, parentPath, this.options.sortBy).forEach(([name, subMap]) => {
+                const currentPath = parentPath ? path.join(parentPath, name) : name;
+                const fileInfo = fileInfoMap.get(currentPath) || {};
+                rows.push({
+                    root,
+                    path: currentPath.split(path.sep).join("/"),
+                    isDirectory: subMap.size > 0 || Boolean(fileInfo.isDirectory),
+                    depth,
+                    fileInfo
+                });
+                if (subMap.size > 0 && depth < this.options.maxDepth) {
+                    walk(subMap, currentPath, depth + 1);
+                }
+            });
+        };
+        walk(structureMap, "", 1);
+
+        return rows;
+    }
+
+    toValues(columns, row) {
+        return columns.map(column => {
+            const value = TABLE_COLUMNS[column](row);
+            return value === undefined ? null : value;
+        });
+    }
+}
+
+export class CSVFormatter extends TableFormatter {
+    // RFC 4180: fields with commas, quotes or line breaks are quoted
+    render(columns, rows) {
+        const escape = (value) => {
+            const text = value === null ? "" : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns, ...rows].map(values => values.map(escape).join(",")).join("\n") + "\n";
+    }
+}
+
+export class TSVFormatter extends TableFormatter {
+    // Tabs, line breaks and backslashes are escaped as \t, \n, \r and \\
+    render(columns, rows) {
+        const escape = (value) => (value === null ? "" : String(value))
+            .replace(/\\/g, "\\\\")
+            .replace(/\t/g, "\\t")
+            .replace(/\n/g, "\\n")
+            .replace(/\r/g, "\\r");
+        return [columns, ...rows].map(values => values.map(escape).join("\t")).join("\n") + "\n";
+    }
+}
+
+export class NDJSONFormatter extends TableFormatter {
+    render(columns, rows) {
+        return rows
+            .map(values => JSON.stringify(Object.fromEntries(columns.map((column, i) => [column, values[i]]))))
+            .join("\n") + "\n";
+    }
+}
@@ -1,7 +1,9 @@
 import path from "path";
 import chalk from "chalk";
 import { TREE_CHARS } from "../constants.js";
-import { getFileCategory, formatBytes, formatTimestamp, formatPermissions, sortEntries } from "../utils.js";
+import { generateBudgetTable } from "./budget-formatter.js";
+import { generateDependencyText } from "./deps-formatter.js";
+import { getFileCategory, formatBytes, formatTimestamp, formatPermissions, sortEntries, getRootOptions, formatGitStatusCode, summarizeGitChanges, describeGitStatus, formatHistory, formatDirectorySize } from "../utils.js";
 
 export class TextFormatter {
     constructor(options) {
@@ -11,22 +13,36 @@ export class TextFormatter {
     format(analysisResult) {
         const { files, stats, structureMap, fileInfoMap, gitStatus } = analysisResult;
         let output = "";
+        this.totalSize = stats.totalSize;
 
         // Simple format if no extra options are enabled
         const simpleFormat = !this.options.showStats && !this.options.showFiles && !this.options.showSizes && 
-                           !this.options.showTimestamps && !this.options.showPermissions && !this.options.showGitStatus;
+                           !this.options.showTimestamps && !this.options.showPermissions && !this.options.showGitStatus &&
+                           !this.options.showGitHistory && !this.options.showLoc && !this.options.findDuplicates && !this.options.showDeps && !this.options.showWorkspaces && !stats.budgets;
         
+        // Embedded output (repostruc inject) has no timestamp or absolute
+        // path, so it only changes when the tree does
+        const rootLine = (this.options.rootLabel || path.basename(path.resolve(this.options.directory || '.'))) +
+            (analysisResult.ref ? ` @ ${analysisResult.ref}` : "") + "\n";
+
         if (simpleFormat) {
             // Simple format like the original
-            output += path.basename(path.resolve(this.options.directory || '.')) + "\n";
+            output += rootLine;
             output += this.generateSimpleStructureText(structureMap, fileInfoMap);
         } else {
-            // Detailed format with headers
-            output += "Directory Structure:\n";
-            output += "=".repeat(60) + "\n";
-            output += `Generated: ${new Date().toISOString()}\n`;
-            output += `Directory: ${path.resolve(this.options.directory || '.')}\n`;
-            output += "-".repeat(60) + "\n\n";
+            if (this.options.embedded) {
+                output += rootLine;
+            } else {
+                // Detailed format with headers
+                output += "Directory Structure:\n";
+                output += "=".repeat(60) + "\n";
+                output += `Generated: ${new Date().toISOString()}\n`;
+                output += `Directory: ${path.resolve(this.options.directory || '.')}\n`;
+                if (analysisResult.ref) {
+                    output += `Revision: ${analysisResult.ref}\n`;
+                }
+                output += "-".repeat(60) + "\n\n";
+            }
             
             output += this.generateStructureText(structureMap, fileInfoMap);
             output += "\n";
@@ -36,6 +52,31 @@ export class TextFormatter {
                 output += this.generateStats(stats);
             }
 
+            // Line counts
+            if (this.options.showLoc && stats.loc) {
+                output += this.generateLocTable(stats.loc);
+            }
+
+            // Identical files
+            if (this.options.findDuplicates && stats.duplicates) {
+                output += this.generateDuplicateList(stats.duplicates);
+            }
+
+            // Workspace packages
+            if (this.options.showWorkspaces && stats.packages) {
+                output += this.generatePackageTable(stats.packages);
+            }
+
+            // Import graph
+            if (this.options.showDeps && stats.deps) {
+                output += generateDependencyText(stats.deps);
+            }
+
+            // Budget usage
+            if (stats.budgets) {
+                output += generateBudgetTable(stats.budgets);
+            }
+
             // Optional File List
             if (this.options.showFiles) {
                 output += this.generateFileList(files, fileInfoMap);
@@ -50,11 +91,17 @@ export class TextFormatter {
         return output;
     }
 
+    formatMultiple(analysisResults) {
+        return analysisResults
+            .map(result => new TextFormatter(getRootOptions(this.options, result)).format(result))
+            .join("\n");
+    }
+
     generateSimpleStructureText(map, fileInfoMap, prefix = "", parentPath = "") {
         let output = "";
         const entries = Array.from(map.entries());
         
-        const sortedEntries = sortEntries(entries, fileInfoMap, parentPath);
+        const sortedEntries = sortEntries(entries, fileInfoMap, parentPath, this.options.sortBy);
 
         sortedEntries.forEach(([name, subMap], index) => {
             const isLast = index === entries.length - 1;
@@ -79,7 +126,7 @@ export class TextFormatter {
         let output = "";
         const entries = Array.from(map.entries());
         
-        const sortedEntries = sortEntries(entries, fileInfoMap, parentPath);
+        const sortedEntries = sortEntries(entries, fileInfoMap, parentPath, this.options.sortBy);
 
         sortedEntries.forEach(([name, subMap], index) => {
             const isLast = index === entries.length - 1;
@@ -93,8 +140,10 @@ export class TextFormatter {
             // Add additional info based on options
             const extras = [];
             
-            if (this.options.showSizes && fileInfo && !fileInfo.isDirectory) {
-                extras.push(chalk.gray(`(${formatBytes(fileInfo.size)})`));
+            if (this.options.showSizes && fileInfo) {
+                extras.push(chalk.gray(fileInfo.isDirectory
+                    ? `(${formatDirectorySize(fileInfo, this.totalSize)})`
+                    : `(${formatBytes(fileInfo.size)})`));
             }
             
             if (this.options.showTimestamps && fileInfo) {
@@ -106,14 +155,23 @@ export class TextFormatter {
             }
             
             if (this.options.showGitStatus && fileInfo && fileInfo.gitStatus) {
-                const statusColors = {
-                    modified: chalk.yellow('M'),
-                    added: chalk.green('A'),
-                    deleted: chalk.red('D'),
-                    untracked: chalk.gray('?'),
-                    renamed: chalk.blue('R')
-                };
-                extras.push(statusColors[fileInfo.gitStatus] || chalk.gray('?'));
+                extras.push(this.formatGitStatus(fileInfo.gitStatus));
+            }
+            
+            if (this.options.showLoc && fileInfo && fileInfo.loc && !fileInfo.loc.binary) {
+                extras.push(chalk.gray(`(${fileInfo.loc.code} loc)`));
+            }
+            
+            if (this.options.showGitHistory && fileInfo && fileInfo.history) {
+                extras.push(chalk.gray(`{${formatHistory(fileInfo.history)}}`));
+            }
+            
+            if (this.options.showWorkspaces && fileInfo && fileInfo.packageName) {
+                extras.push(chalk.magenta(`[package ${fileInfo.packageName}]`));
+            }
+            
+            if (this.options.findDuplicates && fileInfo && fileInfo.duplicateGroup) {
+                extras.push(chalk.yellow(`[duplicate #${fileInfo.duplicateGroup}]`));
             }
             
             if (fileInfo && fileInfo.isSymlink) {
@@ -139,6 +197,28 @@ export class TextFormatter {
         return output;
     }
 
+    // Staged changes in green and unstaged ones in red, like `git status -s`;
+    // directories show how many changes of each kind are below them
+    formatGitStatus(status) {
+        if (status.isDirectory) {
+            const color = status.state === 'conflicted' ? chalk.red : chalk.yellow;
+            return color(`[${summarizeGitChanges(status.changes)}]`);
+        }
+
+        let code;
+        if (status.state === 'conflicted') {
+            code = chalk.red.bold(formatGitStatusCode(status));
+        } else if (status.state === 'untracked' || status.state === 'ignored') {
+            code = chalk.gray(formatGitStatusCode(status));
+        } else {
+            const [staged, unstaged] = formatGitStatusCode(status);
+            code = chalk.green(staged) + chalk.red(unstaged);
+        }
+
+        const details = describeGitStatus(status);
+        return `[${code}]` + (details.length > 0 ? ' ' + chalk.gray(`(${details.join('; ')})`) : '');
+    }
+
     getColorForFile(name, fileInfo) {
         if (!this.options.colorOutput || !name || typeof name !== 'string') return name || '';
         
@@ -200,6 +280,91 @@ export class TextFormatter {
             output += "\n";
         }
 
+        if (stats.largestDirectories && stats.largestDirectories.length > 0) {
+            output += "Largest Directories:\n";
+            output += "-".repeat(40) + "\n";
+            stats.largestDirectories.forEach(dir => {
+                output += `${dir.path} (${formatDirectorySize({ totalSize: dir.size, fileCount: dir.files }, stats.totalSize)})\n`;
+            });
+            output += "\n";
+        }
+
+        if (stats.hottestFiles && stats.hottestFiles.length > 0) {
+            output += `Hottest Files (since ${stats.historyWindow}):\n`;
+            output += "-".repeat(40) + "\n";
+            stats.hottestFiles.forEach(file => {
+                output += `${file.path} (${file.commits} commits, +${file.linesAdded}/-${file.linesRemoved})\n`;
+            });
+            output += "\n";
+        }
+
+        if (stats.stalestFiles && stats.stalestFiles.length > 0) {
+            output += "Stalest Files:\n";
+            output += "-".repeat(40) + "\n";
+            stats.stalestFiles.forEach(file => {
+                output += `${file.path} (last ${formatTimestamp(file.lastCommit)} by ${file.lastAuthor})\n`;
+            });
+            output += "\n";
+        }
+
+        return output;
+    }
+
+    // cloc-style table
+    generateLocTable(loc) {
+        const row = (name, counts) => name.padEnd(24) + [counts.files, counts.blank, counts.comment, counts.code]
+            .map(value => String(value).padStart(10)).join("") + "\n";
+
+        let output = "Lines of Code:\n";
+        output += "-".repeat(64) + "\n";
+        output += "Language".padEnd(24) + ["Files", "Blank", "Comment", "Code"].map(h => h.padStart(10)).join("") + "\n";
+        output += "-".repeat(64) + "\n";
+        Object.entries(loc.byLanguage)
+            .sort(([, a], [, b]) => b.code - a.code)
+            .forEach(([language, counts]) => {
+                output += row(language, counts);
+            });
+        output += "-".repeat(64) + "\n";
+        output += row("SUM", loc.total);
+        if (loc.binaryFiles > 0) {
+            output += `(${loc.binaryFiles} binary files skipped)\n`;
+        }
+        output += "\n";
+        return output;
+    }
+
+    generatePackageTable(packages) {
+        let output = "Packages:\n";
+        output += "-".repeat(60) + "\n";
+        if (packages.length === 0) {
+            output += "No workspace packages found\n\n";
+            return output;
+        }
+        packages.forEach(pkg => {
+            const counts = [`${pkg.files} file${pkg.files === 1 ? '' : 's'}`, formatBytes(pkg.size)];
+            if (pkg.loc !== undefined) counts.push(`${pkg.loc} loc`);
+            output += `${pkg.name} ${chalk.gray(`(${pkg.manager}) ${pkg.path}/`)}: ${counts.join(", ")}\n`;
+        });
+        output += "\n";
+        return output;
+    }
+
+    // Numbered like the [duplicate #n] marks in the tree
+    generateDuplicateList(duplicates) {
+        let output = "Duplicate Files:\n";
+        output += "-".repeat(40) + "\n";
+        if (duplicates.groups.length === 0) {
+            return output + "No duplicate files found\n\n";
+        }
+
+        output += `${duplicates.groups.length} group${duplicates.groups.length === 1 ? '' : 's'}, ${duplicates.files} files, ${formatBytes(duplicates.wasted)} wasted\n\n`;
+        duplicates.groups.forEach((group, index) => {
+            output += `#${index + 1} ${group.files.length} copies of ${formatBytes(group.size)} (${formatBytes(group.wasted)} wasted)\n`;
+            group.files.forEach(file => {
+                output += `  ${file}\n`;
+            });
+        });
+        output += "\n";
         return output;
     }
 
@@ -0,0 +1,62 @@
+import chalk from "chalk";
+import { formatBytes } from "../utils.js";
+
+// Formatters for the result of verifyManifest(), with `manifest` and
+// `directory` added by the verify command
+
+export function getVerifyFormatter(format, options) {
+    switch (format) {
+        case 'json':
+            return new VerifyJSONFormatter(options);
+        case 'txt':
+            return new VerifyTextFormatter(options);
+        default:
+            throw new Error(`Unknown verify format "${format}" (expected txt or json)`);
+    }
+}
+
+export class VerifyTextFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(report) {
+        let output = "Manifest Verification:\n";
+        output += "=".repeat(60) + "\n";
+        output += `Manifest: ${report.manifest}\n`;
+        output += `Directory: ${report.directory}\n`;
+        output += "-".repeat(60) + "\n\n";
+
+        report.missing.forEach(entry => {
+            output += `${chalk.red("- missing ")} ${entry.path} ${chalk.gray(`(${formatBytes(entry.size)})`)}\n`;
+        });
+        report.extra.forEach(entry => {
+            output += `${chalk.green("+ extra   ")} ${entry.path} ${chalk.gray(`(${formatBytes(entry.size)})`)}\n`;
+        });
+        report.modified.forEach(entry => {
+            const details = entry.changes.map(change => {
+                if (change === "size") return `size ${formatBytes(entry.expected.size)} → ${formatBytes(entry.actual.size)}`;
+                if (change === "mode") return `mode ${entry.expected.mode} → ${entry.actual.mode}`;
+                return "content";
+            });
+            output += `${chalk.yellow("~ modified")} ${entry.path} ${chalk.gray(`(${details.join(", ")})`)}\n`;
+        });
+        if (!report.ok) output += "\n";
+
+        const summary = `${report.verified} verified, ${report.missing.length} missing, ${report.extra.length} extra, ${report.modified.length} modified`;
+        output += report.ok
+            ? chalk.green(`✓ Directory matches the manifest (${summary})`) + "\n"
+            : chalk.red(`✖ Directory does not match the manifest (${summary})`) + "\n";
+        return output;
+    }
+}
+
+export class VerifyJSONFormatter {
+    constructor(options) {
+        this.options = options;
+    }
+
+    format(report) {
+        return JSON.stringify({ generated: new Date().toISOString(), ...report }, null, 2);
+    }
+}
@@ -1,35 +1,260 @@
 import { promisify } from "util";
-import { exec } from "child_process";
-import { GIT_STATUS_MAP } from "./constants.js";
+import { exec, execFile } from "child_process";
+import { GIT_STATUS_MAP, GIT_CONFLICT_MAP, GIT_STATE_CODES } from "./constants.js";
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
-export async function getGitStatus() {
+// Returns a map of paths (relative to `dir`) to status objects:
+//   { state, code, index, worktree, conflict, submodule, from }
+// `index` and `worktree` are the staged and unstaged changes, `code` the raw
+// XY columns and `state` the change that matters most for display. Every
+// ancestor directory of a changed path gets a rollup entry:
+//   { state, isDirectory: true, changes: { <state>: count } }
+export async function getGitStatus(dir = ".") {
+    let prefix;
+    let stdout;
     try {
-        const { stdout } = await execAsync('git status --porcelain');
-        const statusMap = {};
-        stdout.split('\n').forEach(line => {
-            if (line.trim()) {
-                const status = line.substring(0, 2);
-                const file = line.substring(3);
-                statusMap[file] = parseGitStatus(status);
-            }
-        });
-        return statusMap;
+        // Porcelain paths are relative to the repository root, while the
+        // analysis is keyed relative to `dir`
+        const { stdout: prefixOut } = await execAsync('git rev-parse --show-prefix', { cwd: dir });
+        prefix = prefixOut.trim();
+        ({ stdout } = await execFileAsync('git', ['status', '--porcelain=v2', '-z', '--untracked-files=all', '--', '.'], {
+            cwd: dir,
+            maxBuffer: 512 * 1024 * 1024
+        }));
     } catch (error) {
         throw new Error('Git status unavailable: Not a git repository or git not installed');
     }
+
+    const statusMap = {};
+    const records = stdout.split('\0');
+    for (let i = 0; i < records.length; i++) {
+        const record = records[i];
+        if (!record) continue;
+
+        const parsed = parseStatusRecord(record);
+        if (!parsed) continue;
+
+        // Renames and copies carry the original path as the next record
+        if (record[0] === '2') {
+            parsed.status.from = stripPrefix(records[++i], prefix);
+        }
+
+        const file = stripPrefix(parsed.path, prefix);
+        if (file !== null) {
+            statusMap[file] = parsed.status;
+        }
+    }
+
+    return rollupDirectories(statusMap);
 }
 
-export function parseGitStatus(status) {
-    return GIT_STATUS_MAP[status] || 'unknown';
+function stripPrefix(file, prefix) {
+    if (file === undefined || !file.startsWith(prefix)) return null;
+    return file.substring(prefix.length);
 }
 
-export async function checkGitRepository() {
+// Parses one porcelain v2 record into { path, status }
+export function parseStatusRecord(record) {
+    const type = record[0];
+
+    if (type === '?' || type === '!') {
+        const status = createStatus(type === '?' ? 'untracked' : 'ignored');
+        status.code = type + type;
+        return { path: record.substring(2), status };
+    }
+
+    // 1 <XY> <sub> <mH> <mI> <mW> <hH> <hI> <path>
+    // 2 <XY> <sub> <mH> <mI> <mW> <hH> <hI> <X><score> <path>
+    // u <XY> <sub> <m1> <m2> <m3> <mW> <h1> <h2> <h3> <path>
+    const fieldCount = { '1': 8, '2': 9, 'u': 10 }[type];
+    if (!fieldCount) return null;
+
+    const fields = record.split(' ');
+    const xy = fields[1];
+    const file = fields.slice(fieldCount).join(' ');
+    const status = createStatus(null);
+    status.code = xy;
+
+    if (type === 'u') {
+        status.state = 'conflicted';
+        status.conflict = GIT_CONFLICT_MAP[xy] || 'unmerged';
+    } else {
+        status.index = parseGitStatus(xy[0]);
+        status.worktree = parseGitStatus(xy[1]);
+    }
+    status.submodule = parseSubmoduleState(fields[2]);
+
+    if (!status.state) {
+        status.state = pickState([status.worktree, status.index].filter(Boolean)) || 'modified';
+    }
+    return { path: file, status };
+}
+
+function createStatus(state) {
+    return { state, code: null, index: null, worktree: null, conflict: null, submodule: null, from: null };
+}
+
+// "N..." for regular files, "S<c><m><u>" for submodules
+function parseSubmoduleState(sub) {
+    if (!sub || sub[0] !== 'S') return null;
+    return {
+        commitChanged: sub[1] === 'C',
+        trackedChanges: sub[2] === 'M',
+        untrackedChanges: sub[3] === 'U'
+    };
+}
+
+export function parseGitStatus(code) {
+    if (!code || code === '.') return null;
+    return GIT_STATUS_MAP[code] || 'unknown';
+}
+
+// Picks the state that wins per the order of GIT_STATE_CODES
+export function pickState(states) {
+    const order = Object.keys(GIT_STATE_CODES);
+    return states
+        .filter(state => order.includes(state))
+        .sort((a, b) => order.indexOf(a) - order.indexOf(b))[0] || states[0] || null;
+}
+
+function rollupDirectories(statusMap) {
+    const rollups = {};
+    Object.entries(statusMap).forEach(([file, status]) => {
+        const parts = file.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            const dir = parts.slice(0, i).join('/');
+            if (!rollups[dir]) {
+                rollups[dir] = { state: null, isDirectory: true, changes: {} };
+            }
+            rollups[dir].changes[status.state] = (rollups[dir].changes[status.state] || 0) + 1;
+        }
+    });
+
+    Object.entries(rollups).forEach(([dir, rollup]) => {
+        rollup.state = pickState(Object.keys(rollup.changes));
+        // Untracked directories reported as a whole keep their own status
+        if (!statusMap[dir]) {
+            statusMap[dir] = rollup;
+        }
+    });
+    return statusMap;
+}
+
+export async function checkGitRepository(dir = ".") {
     try {
-        await execAsync('git status');
+        await execAsync('git status', { cwd: dir });
         return true;
     } catch {
         return false;
     }
-}
\ No newline at end of file
+}
+
+// Lists every entry of `ref` below `dir` with paths relative to `dir`.
+// Directories (trees) have no size; submodules appear as "commit" entries.
+export async function listTree(dir, ref) {
+    let prefix;
+    try {
+        const { stdout } = await execAsync('git rev-parse --show-prefix', { cwd: dir });
+        prefix = stdout.trim();
+    } catch (error) {
+        throw new Error('Git revision unavailable: Not a git repository or git not installed');
+    }
+
+    let stdout;
+    try {
+        ({ stdout } = await execFileAsync('git', ['ls-tree', '--full-tree', '-r', '-t', '-l', '-z', `${ref}:${prefix}`], {
+            cwd: dir,
+            maxBuffer: 512 * 1024 * 1024
+        }));
+    } catch (error) {
+        throw new Error(`Unknown revision "${ref}" for ${dir}: ${error.stderr ? error.stderr.trim() : error.message}`);
+    }
+
+    return stdout.split('\0').filter(Boolean).map(line => {
+        // <mode> SP <type> SP <object> SP+ <size> TAB <path>
+        const tab = line.indexOf('\t');
+        const [mode, type, object, size] = line.substring(0, tab).split(/\s+/);
+        return {
+            path: line.substring(tab + 1),
+            mode: parseInt(mode, 8),
+            type,
+            object,
+            size: size === '-' ? 0 : parseInt(size, 10)
+        };
+    });
+}
+
+export async function getCommitDate(dir, ref) {
+    const { stdout } = await execFileAsync('git', ['log', '-1', '--format=%cI', ref, '--'], { cwd: dir });
+    return new Date(stdout.trim());
+}
+
+
+export async function isRevision(dir, ref) {
+    try {
+        await execFileAsync('git', ['rev-parse', '--verify', '--quiet', `${ref}^{tree}`], { cwd: dir });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Per-file history for `ref` below `dir`, keyed by path relative to `dir`:
+//   { lastCommit, lastAuthor, commits, linesAdded, linesRemoved }
+// The last commit is taken from the full history; commits and line churn
+// only count commits inside `window` (any date git understands, e.g.
+// "90 days ago" or "2024-01-01").
+export async function getGitHistory(dir, window, ref = 'HEAD') {
+    let cutoff = 0;
+    let stdout;
+    try {
+        // Let git parse the window: `rev-parse --since` prints --max-age=<epoch>
+        const { stdout: since } = await execFileAsync('git', ['rev-parse', `--since=${window}`], { cwd: dir });
+        const match = since.match(/--max-age=(\d+)/);
+        cutoff = match ? parseInt(match[1], 10) * 1000 : 0;
+
+        ({ stdout } = await execFileAsync('git', [
+            'log', '-z', '--no-renames', '--numstat', '--relative',
+            '--format=%x1e%H%x1f%aI%x1f%an', ref, '--', '.'
+        ], { cwd: dir, maxBuffer: 1024 * 1024 * 1024 }));
+    } catch (error) {
+        throw new Error('Git history unavailable: Not a git repository or git not installed');
+    }
+
+    const history = {};
+    let commit = null;
+    stdout.split('\0').forEach(record => {
+        record = record.replace(/^\n/, '');
+        if (!record) return;
+
+        if (record[0] === '\x1e') {
+            const [, date, author] = record.substring(1).split('\x1f');
+            commit = { date: new Date(date), author, inWindow: new Date(date).getTime() >= cutoff };
+            return;
+        }
+
+        // <added> TAB <removed> TAB <path>; binary files report "-"
+        const match = record.match(/^(\d+|-)\t(\d+|-)\t([\s\S]*)$/);
+        if (!match || !commit) return;
+
+        const file = match[3];
+        if (!history[file]) {
+            history[file] = {
+                lastCommit: commit.date,
+                lastAuthor: commit.author,
+                commits: 0,
+                linesAdded: 0,
+                linesRemoved: 0
+            };
+        }
+        if (commit.inWindow) {
+            history[file].commits++;
+            history[file].linesAdded += match[1] === '-' ? 0 : parseInt(match[1], 10);
+            history[file].linesRemoved += match[2] === '-' ? 0 : parseInt(match[2], 10);
+        }
+    });
+
+    return history;
+}
@@ -0,0 +1,227 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { execFile } from "child_process";
+import fg from "fast-glob";
+import ignore from "ignore";
+
+const execFileAsync = promisify(execFile);
+
+// Resolves ignore rules the way git does for an analyzed root: global
+// core.excludesFile, .git/info/exclude, every .gitignore from the repository
+// top level down to the deepest directory, and tracked files that stay
+// visible even when a pattern matches them.
+//
+// All patterns are rebased onto the repository top level and loaded into a
+// single `ignore` instance in precedence order, so negations can override
+// rules from lower levels and an excluded directory still hides everything
+// below it.
+export class GitIgnore {
+    constructor(root, options = {}) {
+        this.root = path.resolve(root);
+        this.options = options;
+        this.warnings = [];
+        this.files = [];
+        this.gitDir = null;
+        this.base = this.root;
+        this.prefix = "";
+        this.tracked = null;
+        this.ig = ignore({ ignorecase: false });
+    }
+
+    async load() {
+        this.findRepository();
+        this.prefix = toPosix(path.relative(this.base, this.root));
+
+        if (this.gitDir) {
+            const ignoreCase = await readGitConfig(this.root, "core.ignoreCase", ["--bool"]);
+            this.ig = ignore({ ignorecase: ignoreCase === "true" });
+
+            this.addFile(await this.getGlobalExcludesFile(), "");
+            this.addFile(path.join(this.getCommonDir(), "info", "exclude"), "");
+
+            // .gitignore files between the repository top level and the root
+            const ancestors = [];
+            for (let dir = this.root; dir !== this.base; dir = path.dirname(dir)) {
+                ancestors.unshift(path.dirname(dir));
+            }
+            ancestors.forEach(dir => {
+                this.addFile(path.join(dir, ".gitignore"), toPosix(path.relative(this.base, dir)));
+            });
+
+            this.tracked = await this.getTrackedPaths();
+        }
+
+        // Nested .gitignore files inside the analyzed root, shallowest first
+        const nested = await fg("**/.gitignore", {
+            cwd: this.root,
+            dot: true,
+            ignore: this.options.ignorePatterns || [],
+            followSymbolicLinks: this.options.followSymlinks,
+            suppressErrors: true
+        });
+        nested
+            .sort((a, b) => a.split("/").length - b.split("/").length || a.localeCompare(b))
+            .forEach(file => {
+                const dir = path.posix.dirname(file);
+                this.addFile(path.join(this.root, file), this.toBasePath(dir === "." ? "" : dir));
+            });
+
+        return this;
+    }
+
+    findRepository() {
+        let dir = this.root;
+        while (true) {
+            const dotGit = path.join(dir, ".git");
+            try {
+                const stat = fs.statSync(dotGit);
+                if (stat.isDirectory()) {
+                    this.gitDir = dotGit;
+                } else {
+                    // Worktrees and submodules use a "gitdir: <path>" file
+                    const match = fs.readFileSync(dotGit, "utf8").match(/^gitdir:\s*(.+)$/m);
+                    if (match) {
+                        this.gitDir = path.resolve(dir, match[1].trim());
+                    }
+                }
+                if (this.gitDir) {
+                    this.base = dir;
+                    return;
+                }
+            } catch {
+                // No .git here, keep walking up
+            }
+
+            const parent = path.dirname(dir);
+            if (parent === dir) return;
+            dir = parent;
+        }
+    }
+
+    getCommonDir() {
+        try {
+            const commonDir = fs.readFileSync(path.join(this.gitDir, "commondir"), "utf8").trim();
+            return path.resolve(this.gitDir, commonDir);
+        } catch {
+            return this.gitDir;
+        }
+    }
+
+    async getGlobalExcludesFile() {
+        const configured = await readGitConfig(this.root, "core.excludesFile", ["--path"]);
+        if (configured) {
+            return path.resolve(this.base, configured);
+        }
+
+        // Git's default when core.excludesFile is unset
+        const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+        return path.join(configHome, "git", "ignore");
+    }
+
+    async getTrackedPaths() {
+        try {
+            const { stdout } = await execFileAsync("git", ["ls-files", "-z", "--", "."], {
+                cwd: this.root,
+                maxBuffer: 512 * 1024 * 1024
+            });
+            const tracked = new Set();
+            stdout.split("\0").filter(Boolean).forEach(file => {
+                // Paths are relative to the root; record every ancestor as well
+                // so directories holding tracked files are never dropped
+                const parts = file.split("/");
+                for (let i = 1; i <= parts.length; i++) {
+                    tracked.add(parts.slice(0, i).join("/"));
+                }
+            });
+            return tracked;
+        } catch (error) {
+            this.warnings.push(`Could not list tracked files: ${error.message}`);
+            return null;
+        }
+    }
+
+    addFile(file, dir) {
+        let content;
+        try {
+            content = fs.readFileSync(file, "utf8");
+        } catch (error) {
+            if (error.code !== "ENOENT" && error.code !== "ENOTDIR") {
+                this.warnings.push(`Could not read ignore file ${file}: ${error.message}`);
+            }
+            return;
+        }
+
+        const patterns = content
+            .split(/\r?\n/)
+            .map(line => rebasePattern(line, dir))
+            .filter(Boolean);
+        this.ig.add(patterns);
+        this.files.push({ file, patterns: patterns.length });
+    }
+
+    toBasePath(file) {
+        return this.prefix ? (file ? `${this.prefix}/${file}` : this.prefix) : file;
+    }
+
+    // `file` is relative to the analyzed root; directories end with "/"
+    ignores(file) {
+        const relative = file.replace(/\/$/, "");
+        if (/(^|\/)\.git$/.test(relative) || relative.startsWith(".git/") || relative.includes("/.git/")) {
+            return true;
+        }
+        if (this.tracked && this.tracked.has(relative)) {
+            return false;
+        }
+        return this.ig.ignores(this.toBasePath(file));
+    }
+
+    getWarnings() {
+        return this.warnings;
+    }
+
+    // Ignore files that were read, in precedence order, with their pattern counts
+    getFiles() {
+        return this.files;
+    }
+}
+
+async function readGitConfig(cwd, key, flags = []) {
+    try {
+        const { stdout } = await execFileAsync("git", ["config", ...flags, "--get", key], { cwd });
+        return stdout.trim();
+    } catch {
+        return null;
+    }
+}
+
+function toPosix(file) {
+    return file.split(path.sep).join("/");
+}
+
+function escapeGlob(segment) {
+    return segment.replace(/[*?[\]\\]/g, "\\$&");
+}
+
+// Rewrites a pattern from the .gitignore in `dir` so that it matches the same
+// paths when evaluated from the repository top level
+export function rebasePattern(line, dir) {
+    if (!line.trim() || line.startsWith("#")) return null;
+    if (!dir) return line;
+
+    const negate = line.startsWith("!");
+    let body = negate ? line.slice(1) : line;
+    if (body.startsWith("\\#") || body.startsWith("\\!")) {
+        body = body.slice(1);
+    }
+
+    const trimmed = body.replace(/\/+\s*$/, "");
+    const anchored = trimmed.includes("/");
+    const prefix = escapeGlob(dir);
+    const rebased = anchored
+        ? `${prefix}/${body.replace(/^\//, "")}`
+        : `${prefix}/**/${body}`;
+
+    return negate ? `!${rebased}` : rebased;
+}
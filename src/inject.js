@@ -0,0 +1,88 @@
+import stripAnsi from "strip-ansi";
+
+// Blocks of generated output kept inside another document (usually a
+// README) between <!-- repostruc:start ... --> and <!-- repostruc:end -->.
+// The start marker may carry settings, e.g. `depth=2 format=txt dir=src`.
+
+// Setting names accepted in a start marker, as camelCase option names
+const BLOCK_SETTINGS = new Set([
+    "dir", "profile", "format", "depth", "files", "sizes", "stats", "hidden", "sort",
+    "ignore", "include", "gitignore", "defaultPatterns", "groupByType", "timestamps",
+    "permissions", "excludeEmpty", "followSymlinks", "gitStatus", "gitHistory",
+    "historyWindow", "loc", "duplicates", "deps", "workspaces", "columns", "diagram", "ref"
+]);
+
+// Code fence languages for formats that are not named like the language
+const FENCE_LANGUAGES = { txt: "text", ndjson: "json" };
+
+// `key=value`, `key="quoted value"` and bare `key` (true) or `no-key`
+// (false), as on the command line
+export function parseBlockSettings(text, line) {
+    const settings = {};
+    for (const match of text.matchAll(/([\w-]+)(?:=("[^"]*"|'[^']*'|\S+))?/g)) {
+        let [, key, value] = match;
+        if (value === undefined) {
+            value = !key.startsWith("no-");
+            if (!value) key = key.slice(3);
+        } else if (/^["']/.test(value)) {
+            value = value.slice(1, -1);
+        } else if (value === "true" || value === "false") {
+            value = value === "true";
+        } else if (/^\d+$/.test(value)) {
+            value = Number(value);
+        }
+
+        const name = key.replace(/-([a-z])/g, (dash, letter) => letter.toUpperCase());
+        if (!BLOCK_SETTINGS.has(name)) {
+            throw new Error(`Unknown setting "${key}" in the marker at line ${line}`);
+        }
+        settings[name] = value;
+    }
+    return settings;
+}
+
+// Blocks in document order with their line, settings and current content
+export function findInjectBlocks(content) {
+    const blocks = [];
+    let open = null;
+    for (const match of content.matchAll(/<!--\s*repostruc:(start|end)\b([\s\S]*?)-->/g)) {
+        const line = content.slice(0, match.index).split("\n").length;
+        if (match[1] === "start") {
+            if (open) {
+                throw new Error(`Start marker at line ${line} is inside the block started at line ${open.line}`);
+            }
+            open = { line, settings: parseBlockSettings(match[2], line), start: match.index + match[0].length };
+        } else {
+            if (!open) {
+                throw new Error(`End marker at line ${line} has no start marker`);
+            }
+            blocks.push({ ...open, end: match.index, content: content.slice(open.start, match.index) });
+            open = null;
+        }
+    }
+    if (open) {
+        throw new Error(`Block started at line ${open.line} has no end marker`);
+    }
+    return blocks;
+}
+
+// Markdown goes in as is, everything else in a code fence
+export function wrapBlockOutput(output, format) {
+    const text = stripAnsi(output).replace(/\s+$/, "");
+    if (format === "markdown") {
+        return `\n${text}\n`;
+    }
+    const fence = text.includes("```") ? "````" : "```";
+    return `\n${fence}${FENCE_LANGUAGES[format] || format}\n${text}\n${fence}\n`;
+}
+
+// Document with the content of every block replaced by `outputs[i]`
+export function replaceInjectBlocks(content, blocks, outputs) {
+    let result = "";
+    let position = 0;
+    blocks.forEach((block, index) => {
+        result += content.slice(position, block.start) + outputs[index];
+        position = block.end;
+    });
+    return result + content.slice(position);
+}
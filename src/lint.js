@@ -0,0 +1,171 @@
+import path from "path";
+import picomatch from "picomatch";
+import { NAMING_STYLES } from "./constants.js";
+
+// Structure lint rules, configured under "rules" in the configuration:
+//
+//   required:   [{ in?: glob, path: glob | glob[] }]  paths that must exist
+//               (below every directory matching `in`); "dir/" wants a directory
+//   forbidden:  [glob | { path: glob, message? }]      paths that must not exist
+//   naming:     [{ files | directories: glob, style?: name, pattern?: regex }]
+//   maxDepth:   number | { max }                      deepest allowed nesting
+//   maxEntries: number | { max, in?: glob }           children per directory
+//
+// Every rule entry may set `severity` to "error" (default), "warning" or "off".
+
+export const LINT_RULES = {
+    required: "Required paths must exist",
+    forbidden: "Forbidden paths must not exist",
+    naming: "File and directory names follow a naming convention",
+    maxDepth: "Directories are not nested too deeply",
+    maxEntries: "Directories do not hold too many entries"
+};
+
+const SEVERITIES = ["error", "warning", "off"];
+
+// Validates the "rules" section and turns every rule into a list of entries
+export function normalizeRules(rules = {}) {
+    if (typeof rules !== "object" || Array.isArray(rules)) {
+        throw new Error(`"rules" must be an object`);
+    }
+
+    const normalized = {};
+    Object.entries(rules).forEach(([name, value]) => {
+        if (!LINT_RULES[name]) {
+            throw new Error(`Unknown lint rule "${name}" (available: ${Object.keys(LINT_RULES).join(", ")})`);
+        }
+
+        const entries = [].concat(value).map(entry => {
+            if (typeof entry === "number") return { max: entry };
+            if (typeof entry === "string") return { path: entry };
+            return { ...entry };
+        });
+
+        entries.forEach(entry => {
+            entry.severity = entry.severity || "error";
+            if (!SEVERITIES.includes(entry.severity)) {
+                throw new Error(`Rule ${name}: severity must be one of ${SEVERITIES.join(", ")}`);
+            }
+            if ((name === "required" || name === "forbidden") && !entry.path) {
+                throw new Error(`Rule ${name}: every entry needs a "path"`);
+            }
+            if ((name === "maxDepth" || name === "maxEntries") && !(entry.max >= 0)) {
+                throw new Error(`Rule ${name}: "max" must be a number`);
+            }
+            if (name === "naming") {
+                if (!entry.files && !entry.directories) {
+                    throw new Error(`Rule naming: every entry needs "files" or "directories"`);
+                }
+                if (!entry.style && !entry.pattern) {
+                    throw new Error(`Rule naming: every entry needs a "style" or a "pattern"`);
+                }
+                if (entry.style && !NAMING_STYLES[entry.style]) {
+                    throw new Error(`Rule naming: unknown style "${entry.style}" (available: ${Object.keys(NAMING_STYLES).join(", ")})`);
+                }
+                try {
+                    entry.regex = entry.pattern ? new RegExp(entry.pattern) : null;
+                } catch (error) {
+                    throw new Error(`Rule naming: invalid pattern: ${error.message}`);
+                }
+            }
+        });
+
+        normalized[name] = entries.filter(entry => entry.severity !== "off");
+    });
+    return normalized;
+}
+
+// Checks an analysis result against normalized rules. Returns violations as
+// { rule, severity, path, message }, sorted by path.
+export function lintStructure(analysisResult, rules) {
+    const entries = collectEntries(analysisResult);
+    const violations = [];
+    const report = (rule, entry, file, message) => {
+        violations.push({ rule, severity: entry.severity, path: file, message });
+    };
+
+    (rules.required || []).forEach(entry => {
+        const bases = entry.in ? entries.filter(e => e.isDirectory && matches(entry.in, e.path)) : [{ path: "" }];
+        bases.forEach(base => {
+            const below = entries
+                .filter(e => !base.path || e.path.startsWith(`${base.path}/`))
+                .map(e => ({ ...e, relative: base.path ? e.path.slice(base.path.length + 1) : e.path }));
+
+            [].concat(entry.path).forEach(required => {
+                const wantsDirectory = required.endsWith("/");
+                const pattern = required.replace(/\/+$/, "");
+                const found = below.some(e => matches(pattern, e.relative) && (!wantsDirectory || e.isDirectory));
+                if (!found) {
+                    report("required", entry, base.path || ".", `Missing required ${wantsDirectory ? "directory" : "path"} "${required}"`);
+                }
+            });
+        });
+    });
+
+    (rules.forbidden || []).forEach(entry => {
+        const onlyDirectories = entry.path.endsWith("/");
+        const pattern = entry.path.replace(/\/+$/, "");
+        entries
+            .filter(e => matches(pattern, e.path) && (!onlyDirectories || e.isDirectory))
+            .forEach(e => report("forbidden", entry, e.path, entry.message || `Forbidden path (matches "${entry.path}")`));
+    });
+
+    (rules.naming || []).forEach(entry => {
+        entries
+            .filter(e => e.isDirectory ? entry.directories && matches(entry.directories, e.path) : entry.files && matches(entry.files, e.path))
+            .forEach(e => {
+                const name = path.posix.basename(e.path);
+                // Styles apply to the name without extensions or leading dots
+                const stem = e.isDirectory ? name.replace(/^\.+/, "") : name.replace(/^\.+/, "").split(".")[0];
+                if (entry.style && !NAMING_STYLES[entry.style].test(stem)) {
+                    report("naming", entry, e.path, `"${name}" is not ${entry.style}`);
+                } else if (entry.regex && !entry.regex.test(name)) {
+                    report("naming", entry, e.path, `"${name}" does not match /${entry.pattern}/`);
+                }
+            });
+    });
+
+    (rules.maxDepth || []).forEach(entry => {
+        // Only the first level past the limit is reported
+        entries
+            .filter(e => e.depth === entry.max + 1)
+            .forEach(e => report("maxDepth", entry, e.path, `Nested ${e.depth} levels deep (max ${entry.max})`));
+    });
+
+    (rules.maxEntries || []).forEach(entry => {
+        [{ path: "", isDirectory: true, children: analysisResult.structureMap.size }, ...entries]
+            .filter(e => e.isDirectory && e.children > entry.max && (!entry.in || matches(entry.in, e.path)))
+            .forEach(e => report("maxEntries", entry, e.path || ".", `${e.children} entries (max ${entry.max})`));
+    });
+
+    return violations.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Every entry of the tree with "/"-separated paths, including directories
+// that only exist as parents of included files
+function collectEntries({ structureMap, fileInfoMap }) {
+    const entries = [];
+    const walk = (map, parentPath, depth) => {
+        map.forEach((subMap, name) => {
+            const currentPath = parentPath ? path.join(parentPath, name) : name;
+            const fileInfo = fileInfoMap.get(currentPath);
+            entries.push({
+                path: currentPath.split(path.sep).join("/"),
+                isDirectory: subMap.size > 0 || Boolean(fileInfo && fileInfo.isDirectory),
+                depth,
+                children: subMap.size
+            });
+            walk(subMap, currentPath, depth + 1);
+        });
+    };
+    walk(structureMap, "", 1);
+    return entries;
+}
+
+const matchers = new Map();
+function matches(pattern, file) {
+    if (!matchers.has(pattern)) {
+        matchers.set(pattern, picomatch(pattern, { dot: true }));
+    }
+    return matchers.get(pattern)(file);
+}
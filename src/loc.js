@@ -0,0 +1,123 @@
+import { promises as fsPromises } from "fs";
+import path from "path";
+import { LANGUAGES } from "./constants.js";
+
+const BINARY_SNIFF_BYTES = 8000;
+
+export function detectLanguage(file) {
+    const basename = path.basename(file);
+    const ext = path.extname(file).toLowerCase();
+    for (const [name, language] of Object.entries(LANGUAGES)) {
+        if ((language.filenames && language.filenames.includes(basename)) || language.extensions.includes(ext)) {
+            return name;
+        }
+    }
+    return null;
+}
+
+// Same heuristic as git: a NUL byte near the start means binary
+export function isBinary(buffer) {
+    return buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+// Counts code, comment and blank lines. A line with any code on it counts as
+// code; a line holding only comments (or lying inside a block comment)
+// counts as comment. String literals are not parsed, like cloc.
+export function countLines(content, language) {
+    const { lineComments, blockComments } = LANGUAGES[language];
+    const counts = { code: 0, comment: 0, blank: 0 };
+    let blockEnd = null;
+
+    content.split(/\r?\n/).forEach((line, index, lines) => {
+        // A trailing newline does not start another line
+        if (index === lines.length - 1 && line === "") return;
+
+        if (!line.trim()) {
+            counts.blank++;
+            return;
+        }
+
+        let hasCode = false;
+        let hasComment = false;
+        let i = 0;
+        while (i < line.length) {
+            if (blockEnd) {
+                hasComment = true;
+                const end = line.indexOf(blockEnd, i);
+                if (end === -1) break;
+                i = end + blockEnd.length;
+                blockEnd = null;
+                continue;
+            }
+
+            // Find the earliest comment token from here on
+            let next = null;
+            lineComments.forEach(token => {
+                const at = line.indexOf(token, i);
+                if (at !== -1 && (!next || at < next.at)) next = { at, token };
+            });
+            blockComments.forEach(([start, end]) => {
+                const at = line.indexOf(start, i);
+                if (at !== -1 && (!next || at < next.at || (at === next.at && start.length > next.token.length))) {
+                    next = { at, token: start, end };
+                }
+            });
+
+            const before = line.substring(i, next ? next.at : line.length);
+            if (before.trim()) hasCode = true;
+            if (!next) break;
+
+            hasComment = true;
+            if (!next.end) break;
+            blockEnd = next.end;
+            i = next.at + next.token.length;
+        }
+
+        if (hasCode) {
+            counts.code++;
+        } else if (hasComment) {
+            counts.comment++;
+        }
+    });
+
+    return counts;
+}
+
+async function sniffBinary(fullPath) {
+    const handle = await fsPromises.open(fullPath, "r");
+    try {
+        const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, BINARY_SNIFF_BYTES, 0);
+        return isBinary(buffer.subarray(0, bytesRead));
+    } finally {
+        await handle.close();
+    }
+}
+
+// Returns { language, code, comment, blank }, { binary: true } or null for
+// a text file of unknown language. Files of any language are sniffed, so
+// images, archives and the like count as binary; only the start of those
+// is read.
+export async function countFileLines(fullPath) {
+    const language = detectLanguage(fullPath);
+    if (!language) {
+        return await sniffBinary(fullPath) ? { language, binary: true } : null;
+    }
+
+    const buffer = await fsPromises.readFile(fullPath);
+    if (isBinary(buffer)) {
+        return { language, binary: true };
+    }
+    return { language, ...countLines(buffer.toString("utf8"), language) };
+}
+
+export function emptyLocCounts() {
+    return { files: 0, code: 0, comment: 0, blank: 0 };
+}
+
+export function addLocCounts(target, loc) {
+    target.files++;
+    target.code += loc.code;
+    target.comment += loc.comment;
+    target.blank += loc.blank;
+}
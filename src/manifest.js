@@ -0,0 +1,89 @@
+import { promises as fsPromises } from "fs";
+import path from "path";
+import { DEFAULT_SETTINGS } from "./constants.js";
+import { formatPermissions } from "./utils.js";
+
+// Reading manifests written by `--format manifest` and comparing them with a
+// fresh analysis of a directory.
+
+export async function loadManifest(file) {
+    let json;
+    try {
+        json = JSON.parse(await fsPromises.readFile(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Could not read manifest ${file}: ${error.message}`);
+    }
+
+    if (Array.isArray(json.roots)) {
+        if (json.roots.length !== 1) {
+            throw new Error(`Manifest ${file} contains ${json.roots.length} roots; verify needs a single root`);
+        }
+        json = { manifest: json.manifest, ...json.roots[0] };
+    }
+    if (json.manifest !== 1 || !Array.isArray(json.files)) {
+        throw new Error(`${file} is not a manifest; expected output of --format manifest`);
+    }
+    return json;
+}
+
+// Analyzer settings that include exactly the files the manifest was
+// generated from. `manifestFile` is ignored when it lies in the directory.
+export function getManifestSettings(manifest, manifestFile) {
+    const settings = manifest.settings || {};
+    return {
+        ...DEFAULT_SETTINGS,
+        ignorePatterns: settings.ignore || DEFAULT_SETTINGS.ignorePatterns,
+        includePatterns: settings.include || DEFAULT_SETTINGS.includePatterns,
+        useGitignore: settings.gitignore !== false,
+        showHidden: Boolean(settings.hidden),
+        followSymlinks: Boolean(settings.followSymlinks),
+        hideConfig: Boolean(settings.hideConfig),
+        maxDepth: settings.depth || Infinity,
+        outputFile: manifestFile,
+        hashFiles: true
+    };
+}
+
+// Files missing from the directory, files the manifest does not list, and
+// files whose content, size or (unless checkMode is false) mode differ
+export function verifyManifest(manifest, analysisResult, options = {}) {
+    const actual = new Map();
+    analysisResult.fileInfoMap.forEach((fileInfo, file) => {
+        if (!fileInfo.isDirectory) actual.set(file.split(path.sep).join("/"), fileInfo);
+    });
+
+    const result = { missing: [], extra: [], modified: [], verified: 0 };
+    const expected = new Set();
+    manifest.files.forEach(entry => {
+        expected.add(entry.path);
+        const fileInfo = actual.get(entry.path);
+        if (!fileInfo) {
+            result.missing.push({ path: entry.path, size: entry.size });
+            return;
+        }
+
+        const changes = [];
+        if (entry.sha256 && fileInfo.hash && entry.sha256 !== fileInfo.hash) changes.push("content");
+        if (entry.size !== fileInfo.size) changes.push("size");
+        const mode = formatPermissions(fileInfo.permissions);
+        if (options.checkMode !== false && entry.mode && entry.mode !== mode) changes.push("mode");
+
+        if (changes.length > 0) {
+            result.modified.push({
+                path: entry.path,
+                changes,
+                expected: { size: entry.size, mode: entry.mode, sha256: entry.sha256 },
+                actual: { size: fileInfo.size, mode, sha256: fileInfo.hash || null }
+            });
+        } else {
+            result.verified++;
+        }
+    });
+
+    actual.forEach((fileInfo, file) => {
+        if (!expected.has(file)) result.extra.push({ path: file, size: fileInfo.size });
+    });
+    result.extra.sort((a, b) => a.path.localeCompare(b.path));
+    result.ok = result.missing.length === 0 && result.extra.length === 0 && result.modified.length === 0;
+    return result;
+}
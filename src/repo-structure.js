@@ -4,15 +4,24 @@ import chalk from "chalk";
 import stripAnsi from "strip-ansi";
 import { ConfigManager } from "./config-manager.js";
 import { Analyzer } from "./analyzer.js";
-import { getFormatter } from "./formatters/index.js";
+import { Watcher } from "./watcher.js";
+import { formatResults, findFormatter } from "./formatters/index.js";
+import { loadFormatPlugins } from "./formatters/plugins.js";
+import { countExceeded } from "./formatters/budget-formatter.js";
+import { detectWorkspaces, selectWorkspaces } from "./workspaces.js";
 
 export class RepoStructure {
     constructor(options = {}) {
         this.options = options;
         this.configManager = new ConfigManager();
-        this.config = this.configManager.loadConfig();
+        this.warnings = [];
+    }
+
+    async loadConfiguration() {
+        // Configuration is discovered from the (first) analyzed directory
+        this.config = await this.configManager.loadConfig(this.options.directory || ".");
         this.settings = this.configManager.applyConfiguration(
-            options,
+            this.options,
             this.config
         );
 
@@ -23,34 +32,79 @@ export class RepoStructure {
         this.warnings = this.configManager.getWarnings();
     }
 
-    async analyze(dir) {
-        const analyzer = new Analyzer(this.settings);
+    // Loads configured format plugins, then fails early when the selected
+    // format does not exist. Formats listing content hashes (static
+    // `contentHashes`) make the analysis hash every file.
+    async loadFormats() {
+        await loadFormatPlugins(this.settings.formatPlugins);
+        const { Formatter } = findFormatter(this.settings.format);
+        if (Formatter.contentHashes) {
+            this.settings.hashFiles = true;
+        }
+    }
+
+    // With --package, the named workspace packages of the first directory
+    // are analyzed instead, each as its own root
+    async resolvePackages(dirs) {
+        if (!this.settings.packageNames) return dirs;
+        const root = [].concat(dirs)[0];
+        const packages = await detectWorkspaces(root, this.warnings);
+        return selectWorkspaces(packages, this.settings.packageNames).map(pkg => path.join(root, pkg.path));
+    }
+
+    async analyze(dir, analyzer = new Analyzer(this.settings)) {
         const result = await analyzer.analyze(dir);
 
-        // Merge errors and warnings
-        this.errors = analyzer.getErrors();
-        this.warnings = [...this.warnings, ...analyzer.getWarnings()];
+        return {
+            ...result,
+            directory: dir,
+            errors: analyzer.getErrors(),
+            warnings: analyzer.getWarnings()
+        };
+    }
+
+    // Analyzes every directory as its own root. Configuration warnings are
+    // reported with the first root, whose directory the configuration came from.
+    async analyzeAll(dirs, analyzers = []) {
+        this.configWarnings = this.warnings;
+        const results = [];
+        for (const [index, dir] of [].concat(dirs).entries()) {
+            results.push(await this.analyzeRoot(index, dir, analyzers[index]));
+        }
+        this.collectIssues(results);
+        return results;
+    }
 
+    // Analyzes the root at `index` of analyzeAll(), again when it is
+    // rebuilt from scratch in watch mode
+    async analyzeRoot(index, dir, analyzer) {
+        const result = await this.analyze(dir, analyzer);
+        if (index === 0) {
+            result.warnings = [...this.configWarnings, ...result.warnings];
+        }
         return result;
     }
 
-    generateOutputFromAnalysis(analysisResult) {
-        // Pass errors and warnings to formatter options
+    // Errors and warnings of all roots, for the summary after the output
+    collectIssues(results) {
+        this.errors = results.flatMap(result => result.errors);
+        this.warnings = results.flatMap(result => result.warnings);
+    }
+
+    generateOutputFromAnalysis(analysisResults) {
+        // Errors and warnings travel with each analyzed root
         const formatterOptions = {
             ...this.settings,
-            errors: this.errors || [],
-            warnings: this.warnings || [],
             directory: this.options.directory,
             colorOutput: this.settings.colorFile || this.settings.colorTerminal,
         };
 
-        const formatter = getFormatter(this.settings.format, formatterOptions);
-        return formatter.format(analysisResult);
+        return formatResults(this.settings.format, formatterOptions, analysisResults);
     }
 
-    async printOutput(dir) {
+    async printOutput(dirs, analyzers = []) {
         try {
-            const analysisResult = await this.analyze(dir);
+            const analysisResult = await this.analyzeAll(dirs, analyzers);
             this.settings.colorOutput = this.settings.colorTerminal;
             const terminalOutput =
                 this.generateOutputFromAnalysis(analysisResult);
@@ -80,34 +134,21 @@ export class RepoStructure {
             } else {
                 console.error(`Structure analysis complete`);
             }
+
+            return analysisResult;
         } catch (error) {
             console.error(chalk.red(`Error during analysis: ${error.message}`));
             throw error;
         }
     }
 
-    async saveOutput(dir) {
+    async saveOutput(dirs, analyzers = []) {
         try {
             // Analyze only once
-            const analysisResult = await this.analyze(dir);
-
-            // Generate output without colors for file
-            this.settings.colorFile = false;
-            this.settings.colorOutput = false;
-            const fileOutput = this.generateOutputFromAnalysis(analysisResult);
-
-            // Ensure output directory exists
-            const outputDir = path.dirname(this.settings.outputFile);
-            if (outputDir && outputDir !== "." && outputDir !== "") {
-                await fsPromises.mkdir(outputDir, { recursive: true });
-            }
+            const analysisResult = await this.analyzeAll(dirs, analyzers);
 
             // Save to file FIRST
-            await fsPromises.writeFile(
-                this.settings.outputFile,
-                stripAnsi(fileOutput),
-                "utf8"
-            );
+            await this.writeOutputFile(analysisResult);
 
             // Generate colored output for terminal if not explicitly disabled
             if (!this.options || this.options.print !== false) {
@@ -154,6 +195,8 @@ export class RepoStructure {
                     );
                 }
             });
+
+            return analysisResult;
         } catch (error) {
             process.stderr.write(
                 chalk.red(`Error saving output: ${error.message}`) + "\n"
@@ -162,8 +205,106 @@ export class RepoStructure {
         }
     }
 
+    async writeOutputFile(analysisResult) {
+        // Generate output without colors for file
+        this.settings.colorFile = false;
+        this.settings.colorOutput = false;
+        const fileOutput = this.generateOutputFromAnalysis(analysisResult);
+
+        // Ensure output directory exists
+        const outputDir = path.dirname(this.settings.outputFile);
+        if (outputDir && outputDir !== "." && outputDir !== "") {
+            await fsPromises.mkdir(outputDir, { recursive: true });
+        }
+
+        await fsPromises.writeFile(
+            this.settings.outputFile,
+            stripAnsi(fileOutput),
+            "utf8"
+        );
+    }
+
+    // Renders once, then keeps the output up to date: every root is watched
+    // and its result updated in place as entries are added, removed or renamed
+    async watch(dirs) {
+        if (this.settings.ref) {
+            throw new Error("--watch cannot be combined with --ref");
+        }
+
+        const roots = [].concat(dirs);
+        const analyzers = roots.map(() => new Analyzer(this.settings));
+        const results = this.options.file === false
+            ? await this.printOutput(roots, analyzers)
+            : await this.saveOutput(roots, analyzers);
+
+        const watchers = roots.map((dir, index) => {
+            const watcher = new Watcher(dir, async (changes) => {
+                let changed;
+                if (changes.some(file => path.basename(file) === ".gitignore")) {
+                    // Ignore rules changed; analyze this root from scratch
+                    analyzers[index] = new Analyzer({ ...this.settings, showProgress: false });
+                    results[index] = await this.analyzeRoot(index, dir, analyzers[index]);
+                    this.collectIssues(results);
+                    changed = true;
+                } else {
+                    changed = await analyzers[index].update(dir, results[index], changes);
+                }
+                if (!changed) return;
+
+                watcher.sync(results[index].structureMap, results[index].fileInfoMap);
+                await this.renderUpdate(results, changes.length);
+            }, {
+                onError: (error) => console.error(chalk.yellow(`⚠ ${error.message}`))
+            });
+            watcher.sync(results[index].structureMap, results[index].fileInfoMap);
+            return watcher;
+        });
+
+        // Let the completion message of the first render go out first
+        await new Promise((resolve) => setImmediate(resolve));
+        console.error(chalk.gray(`Watching ${roots.join(", ")} for changes (Ctrl+C to stop)`));
+
+        process.once("SIGINT", () => {
+            watchers.forEach((watcher) => watcher.close());
+            process.exit(0);
+        });
+    }
+
+    async renderUpdate(analysisResults, changeCount) {
+        const time = new Date().toLocaleTimeString();
+        const changes = `${changeCount} changed ${changeCount === 1 ? "path" : "paths"}`;
+
+        if (this.options.file === false) {
+            this.settings.colorOutput = this.settings.colorTerminal;
+            if (process.stdout.isTTY) console.clear();
+            console.log("\n" + this.generateOutputFromAnalysis(analysisResults));
+            console.error(chalk.gray(`[${time}] Updated after ${changes}`));
+        } else {
+            await this.writeOutputFile(analysisResults);
+            console.error(chalk.gray(`[${time}] Updated ${this.settings.outputFile} after ${changes}`));
+        }
+    }
+
+    // With --check-budgets, fails the process when a root exceeds a budget
+    async reportBudgets(analysisResults) {
+        if (!this.settings.checkBudgets) return;
+
+        // After the completion messages of saveOutput()
+        await new Promise((resolve) => setImmediate(resolve));
+        const exceeded = analysisResults.reduce((total, result) => total + countExceeded(result.stats.budgets || []), 0);
+        if (exceeded > 0) {
+            console.error(chalk.red(`✗ ${exceeded} ${exceeded === 1 ? "budget" : "budgets"} exceeded`));
+            process.exitCode = 1;
+        } else if (this.settings.budgets.length === 0) {
+            console.error(chalk.yellow(`No budgets configured; add a "budgets" section to the configuration`));
+        }
+    }
+
     async generateConfig() {
-        await this.configManager.saveConfig(this.options);
-        console.log(chalk.green(`✓ Configuration saved to .repostrucrc.json`));
+        const dir = this.options.directory || ".";
+        const profile = this.options.profile || null;
+        const configPath = await this.configManager.saveConfig(this.options, dir, profile);
+        const target = profile ? `Profile "${profile}"` : "Configuration";
+        console.log(chalk.green(`✓ ${target} saved to ${path.relative(process.cwd(), configPath) || configPath}`));
     }
 }
@@ -1,5 +1,7 @@
+import fs from "fs";
+import crypto from "crypto";
 import path from "path";
-import { FILE_CATEGORIES } from "./constants.js";
+import { FILE_CATEGORIES, GIT_STATE_CODES } from "./constants.js";
 
 export function getFileCategory(extension) {
     for (const [category, extensions] of Object.entries(FILE_CATEGORIES)) {
@@ -30,18 +32,145 @@ export function formatTimestamp(date) {
     return date.toISOString().split('T')[0];
 }
 
-export function sortEntries(entries, fileInfoMap, parentPath) {
+export function sortEntries(entries, fileInfoMap, parentPath, sortBy = 'name') {
     return entries.sort(([nameA, subMapA], [nameB, subMapB]) => {
         const pathA = parentPath ? path.join(parentPath, nameA) : nameA;
         const pathB = parentPath ? path.join(parentPath, nameB) : nameB;
         const infoA = fileInfoMap.get(pathA);
         const infoB = fileInfoMap.get(pathB);
         
-        if (infoA && infoB) {
+        // Largest first, directories by their recursive size, like `du | sort`
+        if (sortBy === 'size' && infoA && infoB) {
+            const difference = getEntrySize(infoB) - getEntrySize(infoA);
+            if (difference !== 0) return difference;
+        } else if (infoA && infoB) {
             if (infoA.isDirectory && !infoB.isDirectory) return -1;
             if (!infoA.isDirectory && infoB.isDirectory) return 1;
         }
         
         return nameA.localeCompare(nameB);
     });
-}
\ No newline at end of file
+}
+
+export function getEntrySize(fileInfo) {
+    return fileInfo.isDirectory ? (fileInfo.totalSize || 0) : fileInfo.size;
+}
+
+export function formatPercent(part, total) {
+    return total > 0 ? `${(part / total * 100).toFixed(1)}%` : '0.0%';
+}
+
+// e.g. "1.20 MB, 14 files, 23.4%"
+export function formatDirectorySize(fileInfo, totalSize) {
+    const files = `${fileInfo.fileCount} file${fileInfo.fileCount === 1 ? '' : 's'}`;
+    return `${formatBytes(fileInfo.totalSize || 0)}, ${files}, ${formatPercent(fileInfo.totalSize || 0, totalSize)}`;
+}
+
+// Formatter options for one analyzed root when several are rendered together
+export function getRootOptions(options, analysisResult) {
+    return {
+        ...options,
+        directory: analysisResult.directory !== undefined ? analysisResult.directory : options.directory,
+        errors: analysisResult.errors || options.errors || [],
+        warnings: analysisResult.warnings || options.warnings || []
+    };
+}
+
+
+// Two-column code like `git status --short`: staged, then unstaged
+export function formatGitStatusCode(status) {
+    return (status.code || '??').replace(/\./g, ' ');
+}
+
+// Directory rollups, e.g. "2M 1A 3?"
+export function summarizeGitChanges(changes) {
+    const order = Object.keys(GIT_STATE_CODES);
+    return Object.entries(changes)
+        .sort(([a], [b]) => order.indexOf(a) - order.indexOf(b))
+        .map(([state, count]) => `${count}${GIT_STATE_CODES[state] || '?'}`)
+        .join(' ');
+}
+
+export function describeGitStatus(status) {
+    const details = [];
+    if (status.from) {
+        details.push(`from ${status.from}`);
+    }
+    if (status.conflict) {
+        details.push(`conflict: ${status.conflict}`);
+    }
+    if (status.submodule) {
+        const changes = [];
+        if (status.submodule.commitChanged) changes.push('new commits');
+        if (status.submodule.trackedChanges) changes.push('modified content');
+        if (status.submodule.untrackedChanges) changes.push('untracked content');
+        details.push(`submodule${changes.length > 0 ? ': ' + changes.join(', ') : ''}`);
+    }
+    return details;
+}
+
+// e.g. "3 commits, +40/-12, last 2024-01-02 by alice"
+export function formatHistory(history) {
+    const commits = `${history.commits} commit${history.commits === 1 ? '' : 's'}`;
+    return `${commits}, +${history.linesAdded}/-${history.linesRemoved}, last ${formatTimestamp(history.lastCommit)} by ${history.lastAuthor}`;
+}
+
+// Streams a file through a hash; resolves null when it cannot be read
+export function hashFile(file, algorithm, header = "") {
+    return new Promise((resolve) => {
+        const hash = crypto.createHash(algorithm).update(header);
+        fs.createReadStream(file)
+            .on("data", chunk => hash.update(chunk))
+            .on("end", () => resolve(hash.digest("hex")))
+            .on("error", () => resolve(null));
+    });
+}
+
+// The `limit` largest items seen, by `compare` (negative when a < b). A
+// min-heap of that size, so pushing stays cheap however many items pass.
+export class TopList {
+    constructor(limit, compare) {
+        this.limit = limit;
+        this.compare = compare;
+        this.heap = [];
+    }
+
+    push(item) {
+        const heap = this.heap;
+        if (heap.length < this.limit) {
+            heap.push(item);
+            this.siftUp(heap.length - 1);
+        } else if (this.limit > 0 && this.compare(item, heap[0]) > 0) {
+            heap[0] = item;
+            this.siftDown(0);
+        }
+    }
+
+    // Largest first
+    values() {
+        return [...this.heap].sort((a, b) => this.compare(b, a));
+    }
+
+    siftUp(index) {
+        const heap = this.heap;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(heap[index], heap[parent]) >= 0) break;
+            [heap[index], heap[parent]] = [heap[parent], heap[index]];
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const heap = this.heap;
+        for (;;) {
+            let smallest = index;
+            for (const child of [2 * index + 1, 2 * index + 2]) {
+                if (child < heap.length && this.compare(heap[child], heap[smallest]) < 0) smallest = child;
+            }
+            if (smallest === index) break;
+            [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+            index = smallest;
+        }
+    }
+}
@@ -0,0 +1,87 @@
+import fs from "fs";
+import path from "path";
+import { WATCH_DEBOUNCE_MS } from "./constants.js";
+
+// Watches the root and every directory of an analysis result (so ignored
+// directories such as node_modules are never watched) and reports changed
+// paths, relative to the root, in debounced batches. Batches never overlap:
+// changes arriving while `onChange` runs are collected for the next one.
+export class Watcher {
+    constructor(root, onChange, options = {}) {
+        this.root = root;
+        this.onChange = onChange;
+        this.onError = options.onError || (() => {});
+        this.delay = options.delay || WATCH_DEBOUNCE_MS;
+        this.watchers = new Map();
+        this.pending = new Set();
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Watches exactly the root plus the directories in `structureMap`
+    sync(structureMap, fileInfoMap) {
+        const wanted = new Set([""]);
+        const collect = (map, parentPath) => {
+            map.forEach((subMap, name) => {
+                const currentPath = parentPath ? path.join(parentPath, name) : name;
+                const fileInfo = fileInfoMap.get(currentPath);
+                if (subMap.size > 0 || (fileInfo && fileInfo.isDirectory)) {
+                    wanted.add(currentPath);
+                    collect(subMap, currentPath);
+                }
+            });
+        };
+        collect(structureMap, "");
+
+        this.watchers.forEach((watcher, dir) => {
+            if (!wanted.has(dir)) {
+                watcher.close();
+                this.watchers.delete(dir);
+            }
+        });
+        wanted.forEach(dir => {
+            if (!this.watchers.has(dir)) this.watch(dir);
+        });
+    }
+
+    watch(dir) {
+        try {
+            const watcher = fs.watch(path.resolve(this.root, dir), (eventType, filename) => {
+                this.schedule(filename ? path.join(dir, filename.toString()) : dir);
+            });
+            // The directory was removed; the next sync() forgets it
+            watcher.on("error", () => watcher.close());
+            this.watchers.set(dir, watcher);
+        } catch (error) {
+            this.onError(new Error(`Could not watch ${dir || this.root}: ${error.message}`));
+        }
+    }
+
+    schedule(file) {
+        if (file) this.pending.add(file);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.delay);
+    }
+
+    async flush() {
+        if (this.running || this.pending.size === 0) return;
+        this.running = true;
+
+        const changes = Array.from(this.pending);
+        this.pending.clear();
+        try {
+            await this.onChange(changes);
+        } catch (error) {
+            this.onError(error);
+        }
+
+        this.running = false;
+        if (this.pending.size > 0) this.schedule();
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers.clear();
+    }
+}
@@ -0,0 +1,146 @@
+import { promises as fsPromises } from "fs";
+import path from "path";
+import fg from "fast-glob";
+import YAML from "yaml";
+
+// Packages of a monorepo, found through the workspace definitions in its
+// root: package.json "workspaces" (npm, yarn), pnpm-workspace.yaml,
+// lerna.json, Cargo.toml [workspace] members and go.work. Each package is
+// { name, path, manager }; paths are relative to the root and "/"-separated.
+
+const WORKSPACE_SOURCES = [
+    { manager: "npm", read: readPackageJsonWorkspaces },
+    { manager: "pnpm", read: readPnpmWorkspaces },
+    { manager: "lerna", read: readLernaWorkspaces },
+    { manager: "cargo", read: readCargoWorkspaces },
+    { manager: "go", read: readGoWorkspaces }
+];
+
+export async function detectWorkspaces(dir, warnings = []) {
+    const packages = new Map();
+    for (const source of WORKSPACE_SOURCES) {
+        let definition;
+        try {
+            definition = await source.read(dir);
+        } catch (error) {
+            warnings.push(`Could not read ${source.manager} workspaces: ${error.message}`);
+            continue;
+        }
+        if (!definition) continue;
+
+        for (const packagePath of await findPackageDirs(dir, definition.patterns, definition.manifest)) {
+            // A package listed by several tools (e.g. lerna on top of npm
+            // workspaces) keeps the first
+            if (packages.has(packagePath)) continue;
+            packages.set(packagePath, {
+                name: await readPackageName(dir, packagePath, definition.manifest) || path.posix.basename(packagePath),
+                path: packagePath,
+                manager: definition.manager || source.manager
+            });
+        }
+    }
+    return Array.from(packages.values()).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Packages matching `selectors` (names or paths); throws for a selector
+// that matches none
+export function selectWorkspaces(packages, selectors) {
+    return selectors.map(selector => {
+        const normalized = selector.replace(/^\.\//, "").replace(/\/$/, "");
+        const match = packages.find(pkg => pkg.name === selector || pkg.path === normalized);
+        if (!match) {
+            const available = packages.map(pkg => pkg.name);
+            throw new Error(`Unknown package "${selector}" (${available.length > 0 ? `available: ${available.join(", ")}` : "no workspaces found"})`);
+        }
+        return match;
+    });
+}
+
+async function readOptional(file) {
+    try {
+        return await fsPromises.readFile(file, "utf8");
+    } catch {
+        return null;
+    }
+}
+
+async function readPackageJsonWorkspaces(dir) {
+    const content = await readOptional(path.join(dir, "package.json"));
+    if (!content) return null;
+    const workspaces = JSON.parse(content).workspaces;
+    const patterns = Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages);
+    if (!Array.isArray(patterns)) return null;
+
+    const yarn = await readOptional(path.join(dir, "yarn.lock")) !== null;
+    return { patterns, manifest: "package.json", manager: yarn ? "yarn" : "npm" };
+}
+
+async function readPnpmWorkspaces(dir) {
+    const content = await readOptional(path.join(dir, "pnpm-workspace.yaml"));
+    if (!content) return null;
+    const packages = (YAML.parse(content) || {}).packages;
+    return Array.isArray(packages) ? { patterns: packages, manifest: "package.json" } : null;
+}
+
+async function readLernaWorkspaces(dir) {
+    const content = await readOptional(path.join(dir, "lerna.json"));
+    if (!content) return null;
+    return { patterns: JSON.parse(content).packages || ["packages/*"], manifest: "package.json" };
+}
+
+async function readCargoWorkspaces(dir) {
+    const content = await readOptional(path.join(dir, "Cargo.toml"));
+    const section = content && content.match(/^\[workspace\]\s*$([\s\S]*?)(?=^\[|(?![\s\S]))/m);
+    if (!section) return null;
+
+    const list = (key) => {
+        const match = section[1].match(new RegExp(`^${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`, "m"));
+        return match ? Array.from(match[1].matchAll(/"([^"]+)"/g), string => string[1]) : [];
+    };
+    return { patterns: [...list("members"), ...list("exclude").map(pattern => `!${pattern}`)], manifest: "Cargo.toml" };
+}
+
+async function readGoWorkspaces(dir) {
+    const content = await readOptional(path.join(dir, "go.work"));
+    if (!content) return null;
+
+    // `use ./a` or a `use ( ... )` block
+    const patterns = [];
+    for (const match of content.replace(/\/\/[^\n]*/g, "").matchAll(/^use\s+(?:\(([^)]*)\)|(\S+))/gm)) {
+        patterns.push(...(match[1] ? match[1].split(/\s+/).filter(Boolean) : [match[2]]));
+    }
+    return { patterns, manifest: "go.mod" };
+}
+
+// Directories matching the patterns ("!" excludes) that hold the manifest;
+// the root itself is not a package of its workspace
+async function findPackageDirs(dir, patterns, manifest) {
+    const clean = (pattern) => path.posix.normalize(pattern.replace(/^!/, "")).replace(/^\.\//, "").replace(/\/$/, "");
+    const include = patterns.filter(pattern => !pattern.startsWith("!")).map(clean);
+    const exclude = patterns.filter(pattern => pattern.startsWith("!")).map(clean);
+
+    const manifests = await fg(include.map(pattern => (pattern === "." ? manifest : `${pattern}/${manifest}`)), {
+        cwd: dir,
+        ignore: ["**/node_modules/**", ...exclude.map(pattern => `${pattern}/${manifest}`)],
+        suppressErrors: true
+    });
+    return manifests
+        .map(file => path.posix.dirname(file))
+        .filter(packagePath => packagePath !== ".");
+}
+
+async function readPackageName(dir, packagePath, manifest) {
+    const content = await readOptional(path.join(dir, packagePath, manifest));
+    if (!content) return null;
+    try {
+        if (manifest === "package.json") return JSON.parse(content).name || null;
+        if (manifest === "Cargo.toml") {
+            const match = content.match(/^\[package\][^[]*?^name\s*=\s*"([^"]+)"/m);
+            return match ? match[1] : null;
+        }
+        const match = content.match(/^module\s+(\S+)/m);
+        return match ? match[1] : null;
+    } catch {
+        return null;
+    }
+}
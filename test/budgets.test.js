@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { analyze, parseSize, normalizeBudgets, evaluateBudgets } from "../src/api.js";
+import { formatBudgetValue } from "../src/formatters/budget-formatter.js";
+
+const execFileAsync = promisify(execFile);
+const cli = fileURLToPath(new URL("../index.js", import.meta.url));
+
+async function createTree(files) {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    for (const [file, content] of Object.entries(files)) {
+        await fsPromises.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+        await fsPromises.writeFile(path.join(dir, file), content);
+    }
+    return dir;
+}
+
+test("parseSize accepts bytes and binary units", () => {
+    assert.equal(parseSize(512), 512);
+    assert.equal(parseSize("512"), 512);
+    assert.equal(parseSize("1 KB"), 1024);
+    assert.equal(parseSize("1.5mb"), 1.5 * 1024 * 1024);
+    assert.equal(parseSize("2 GiB"), 2 * 1024 ** 3);
+    assert.throws(() => parseSize("lots"), /Invalid size "lots"/);
+    assert.throws(() => parseSize(-1), /Invalid size/);
+});
+
+test("normalizeBudgets validates entries", () => {
+    assert.throws(() => normalizeBudgets({}), /"budgets" must be a list/);
+    assert.throws(() => normalizeBudgets([{ path: "src/**" }]), /Budget 1 needs one of maxSize, maxFiles, maxFileSize/);
+    assert.throws(() => normalizeBudgets([{ maxFiles: "many" }]), /Budget 1: "maxFiles" must be a number/);
+    assert.throws(() => normalizeBudgets([{ maxSize: 1 }, { maxSize: "big" }]), /Budget 2: Invalid size "big"/);
+
+    const [budget] = normalizeBudgets([{ maxSize: "1 KB", maxFiles: 2 }]);
+    assert.equal(budget.path, "**");
+    assert.equal(budget.maxSize, 1024);
+    assert.equal(budget.maxFiles, 2);
+});
+
+test("evaluateBudgets reports usage per limit", () => {
+    const fileInfos = [
+        { path: "src", isDirectory: true, size: 0 },
+        { path: path.join("src", "a.js"), isDirectory: false, size: 300 },
+        { path: path.join("src", "b.js"), isDirectory: false, size: 900 },
+        { path: "README.md", isDirectory: false, size: 100 }
+    ];
+    const rows = evaluateBudgets(fileInfos, normalizeBudgets([
+        { path: "src/**", maxSize: "1 KB", maxFiles: 2, maxFileSize: 1000 },
+        { maxFiles: 2 }
+    ]));
+
+    assert.deepEqual(rows, [
+        { path: "src/**", limit: "maxSize", max: 1024, usage: 1200, exceeded: true },
+        { path: "src/**", limit: "maxFiles", max: 2, usage: 2, exceeded: false },
+        { path: "src/**", limit: "maxFileSize", max: 1000, usage: 900, file: path.join("src", "b.js"), exceeded: false },
+        { path: "**", limit: "maxFiles", max: 2, usage: 3, exceeded: true }
+    ]);
+    assert.equal(formatBudgetValue(rows[1], 1), "1 file");
+    assert.equal(formatBudgetValue(rows[1], 2), "2 files");
+});
+
+test("budgets count hidden files and paths below the displayed depth", async () => {
+    const dir = await createTree({
+        "a/b/c/deep.txt": "x".repeat(100),
+        ".hidden/file.txt": "x".repeat(100),
+        "top.txt": "x".repeat(100)
+    });
+    try {
+        const budgets = [{ maxFiles: 2 }];
+        const shallow = await analyze(dir, { maxDepth: 1, showStats: true, budgets });
+        assert.deepEqual(shallow.stats.budgets.map(row => [row.usage, row.exceeded]), [[3, true]]);
+        assert.ok(!shallow.files.includes(path.join("a", "b", "c", "deep.txt")));
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("repostruc budget and --check-budgets exit with 1 when a budget is exceeded", async () => {
+    const dir = await createTree({ "a.txt": "a", "b.txt": "b" });
+    const run = (...args) => execFileAsync(process.execPath, [cli, ...args]).then(() => 0, error => error.code);
+    try {
+        await fsPromises.writeFile(path.join(dir, ".repostrucrc.json"), JSON.stringify({ budgets: [{ maxFiles: 5 }] }));
+        assert.equal(await run("budget", dir), 0);
+
+        await fsPromises.writeFile(path.join(dir, ".repostrucrc.json"), JSON.stringify({ budgets: [{ path: "*.txt", maxFiles: 1 }] }));
+        assert.equal(await run("budget", dir), 1);
+        assert.equal(await run(dir, "--no-file", "--depth", "1", "--check-budgets"), 1);
+
+        await fsPromises.writeFile(path.join(dir, ".repostrucrc.json"), JSON.stringify({ budgets: [{ maxSize: "huge" }] }));
+        assert.equal(await run("budget", dir), 2);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { analyze } from "../src/api.js";
+import { AnalysisCache, clearCache } from "../src/cache.js";
+import { CACHE_DIR, CACHE_VERSION } from "../src/constants.js";
+
+async function withDirectory(callback) {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    try {
+        await callback(dir);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+const cacheFile = (dir) => path.join(dir, CACHE_DIR, "analysis.json");
+
+test("cache entries are only valid while size and mtime are unchanged", () => {
+    const cache = new AnalysisCache(os.tmpdir());
+    const modified = new Date("2024-01-01T00:00:00Z");
+    cache.entries = { "src/a.js": { size: 10, mtime: modified.getTime(), hash: "abc" } };
+
+    const fileInfo = { path: path.join("src", "a.js"), size: 10, modified };
+    assert.equal(cache.lookup(fileInfo).hash, "abc");
+    assert.equal(cache.lookup({ ...fileInfo, size: 11 }), null);
+    assert.equal(cache.lookup({ ...fileInfo, modified: new Date("2024-01-02T00:00:00Z") }), null);
+    assert.equal(cache.lookup({ ...fileInfo, path: "other.js" }), null);
+
+    const restored = { ...fileInfo, loc: { code: 1 } };
+    cache.entries["src/a.js"].loc = { code: 99 };
+    cache.restore(restored, ["loc", "hash"]);
+    assert.equal(restored.hash, "abc");
+    assert.deepEqual(restored.loc, { code: 1 });
+});
+
+test("caches of other versions and unreadable caches are ignored", async () => {
+    await withDirectory(async dir => {
+        await fsPromises.mkdir(path.join(dir, CACHE_DIR));
+        await fsPromises.writeFile(cacheFile(dir), JSON.stringify({ version: CACHE_VERSION + 1, entries: { "a.js": {} } }));
+        assert.deepEqual((await new AnalysisCache(dir).load()).entries, {});
+
+        await fsPromises.writeFile(cacheFile(dir), "{ not json");
+        const cache = await new AnalysisCache(dir).load();
+        assert.deepEqual(cache.entries, {});
+        assert.match(cache.getWarnings()[0], /Ignoring unreadable cache/);
+    });
+});
+
+test("analysis reuses cached hashes until a file changes", async () => {
+    await withDirectory(async dir => {
+        await fsPromises.writeFile(path.join(dir, "a.txt"), "same\n");
+        await fsPromises.writeFile(path.join(dir, "b.txt"), "same\n");
+        await fsPromises.writeFile(path.join(dir, "c.txt"), "same\n");
+        const options = { findDuplicates: true, useCache: true };
+
+        const first = await analyze(dir, options);
+        const hash = first.fileInfoMap.get("a.txt").hash;
+        assert.match(hash, /^[0-9a-f]{64}$/);
+        const json = JSON.parse(await fsPromises.readFile(cacheFile(dir), "utf8"));
+        assert.equal(json.entries["a.txt"].hash, hash);
+
+        // A cached value is used as is while the file is unchanged
+        json.entries["a.txt"].hash = "cached";
+        await fsPromises.writeFile(cacheFile(dir), JSON.stringify(json));
+        const second = await analyze(dir, options);
+        assert.equal(second.fileInfoMap.get("a.txt").hash, "cached");
+        assert.ok(!second.files.some(file => file.startsWith(CACHE_DIR)));
+
+        // Same size, so only the mtime tells
+        await fsPromises.writeFile(path.join(dir, "a.txt"), "diff\n");
+        await fsPromises.utimes(path.join(dir, "a.txt"), new Date(), new Date(Date.now() + 60000));
+        const third = await analyze(dir, options);
+        assert.match(third.fileInfoMap.get("a.txt").hash, /^[0-9a-f]{64}$/);
+        assert.notEqual(third.fileInfoMap.get("a.txt").hash, hash);
+        assert.equal(third.fileInfoMap.get("b.txt").hash, hash);
+
+        // Deleted files are dropped from the cache
+        await fsPromises.rm(path.join(dir, "b.txt"));
+        await analyze(dir, options);
+        assert.deepEqual(Object.keys(JSON.parse(await fsPromises.readFile(cacheFile(dir), "utf8")).entries), ["a.txt", "c.txt"]);
+
+        assert.equal(await clearCache(dir), true);
+        assert.equal(await clearCache(dir), false);
+    });
+});
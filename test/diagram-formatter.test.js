@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { analyze, render } from "../src/api.js";
+
+test("diagram formats render with --stats", async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    try {
+        await fsPromises.mkdir(path.join(dir, "src"));
+        await fsPromises.writeFile(path.join(dir, "src", "index.js"), "export {};\n");
+        await fsPromises.writeFile(path.join(dir, "README.md"), "# test\n");
+
+        const result = await analyze(dir, { showStats: true, showFiles: true });
+        assert.match(render(result, "dot"), /2 files, 1 directory/);
+        assert.match(render(result, "mermaid"), /2 files, 1 directory/);
+        assert.match(render(result, "markdown", { embedDiagram: true }), /flowchart/);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("mermaid labels entity-encode special characters", async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    try {
+        await fsPromises.writeFile(path.join(dir, `a&b<c>#"d".txt`), "");
+
+        const result = await analyze(dir, { showFiles: true });
+        const output = render(result, "mermaid");
+        assert.match(output, /a#amp;b#lt;c#gt;#35;#quot;d#quot;\.txt/);
+        assert.doesNotMatch(output, /a&b/);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
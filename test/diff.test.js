@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { analyze, render, loadSnapshot, snapshotFromAnalysis, diffSnapshots } from "../src/api.js";
+
+async function createTree(dir, files) {
+    for (const [file, content] of Object.entries(files)) {
+        await fsPromises.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+        await fsPromises.writeFile(path.join(dir, file), content);
+    }
+}
+
+async function liveSnapshot(dir) {
+    return snapshotFromAnalysis(await analyze(dir, { showSizes: true }), dir);
+}
+
+test("diff detects moved files and directories in live trees", async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    try {
+        await createTree(path.join(dir, "before"), {
+            "README.md": "# readme\n",
+            "lib/util.js": "export const util = 1;\n",
+            "docs/guide.md": "guide\n",
+            "old/a.js": "a\n",
+            "old/nested/b.js": "bb\n",
+            "gone.txt": "gone\n"
+        });
+        await createTree(path.join(dir, "after"), {
+            "README.md": "# readme, longer\n",
+            "src/util.js": "export const util = 1;\n",
+            "guide.md": "guide\n",
+            "new/a.js": "a\n",
+            "new/nested/b.js": "bb\n",
+            "added.txt": "added\n"
+        });
+
+        const diff = await diffSnapshots(await liveSnapshot(path.join(dir, "before")), await liveSnapshot(path.join(dir, "after")));
+        const moves = diff.moved.map(({ from, to, type, confirmed }) => ({ from, to, type, confirmed }));
+        assert.deepEqual(moves, [
+            { from: "lib", to: "src", type: "directory", confirmed: true },
+            { from: "old", to: "new", type: "directory", confirmed: true },
+            { from: "docs/guide.md", to: "guide.md", type: "file", confirmed: true }
+        ]);
+        assert.deepEqual(diff.added.map(entry => entry.path), ["added.txt"]);
+        assert.deepEqual(diff.removed.map(entry => entry.path).sort(), ["docs", "gone.txt"]);
+        assert.deepEqual(diff.resized.map(entry => entry.path), ["README.md"]);
+        assert.equal(diff.changed, true);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("files with the same size but different contents are not moves", async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    try {
+        await createTree(path.join(dir, "before"), { "a/x.txt": "one\n" });
+        await createTree(path.join(dir, "after"), { "b/x.txt": "two\n" });
+
+        const diff = await diffSnapshots(await liveSnapshot(path.join(dir, "before")), await liveSnapshot(path.join(dir, "after")));
+        assert.deepEqual(diff.moved, []);
+        assert.deepEqual(diff.added.map(entry => entry.path).sort(), ["b", "b/x.txt"]);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("moves against a JSON snapshot are matched by name and marked unconfirmed", async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    try {
+        await createTree(path.join(dir, "before"), { "a/x.txt": "one\n", "a/y.txt": "y\n" });
+        await createTree(path.join(dir, "after"), { "b/x.txt": "two\n", "c/y.txt": "y\n" });
+
+        const snapshotFile = path.join(dir, "before.json");
+        await fsPromises.writeFile(snapshotFile, render(await analyze(path.join(dir, "before"), { showSizes: true }), "json"));
+
+        const diff = await diffSnapshots(await loadSnapshot(snapshotFile), await liveSnapshot(path.join(dir, "after")));
+        const moves = diff.moved.map(({ from, to, confirmed }) => ({ from, to, confirmed }));
+        assert.deepEqual(moves, [
+            { from: "a/x.txt", to: "b/x.txt", confirmed: false },
+            { from: "a/y.txt", to: "c/y.txt", confirmed: false }
+        ]);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("identical trees report no changes", async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    try {
+        await createTree(dir, { "src/index.js": "export {};\n" });
+        const snapshot = await liveSnapshot(dir);
+        const diff = await diffSnapshots(snapshot, await liveSnapshot(dir));
+        assert.equal(diff.changed, false);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { analyze } from "../src/api.js";
+
+const execFileAsync = promisify(execFile);
+
+test("include patterns select the same entries in the working tree and a revision", async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    try {
+        await fsPromises.mkdir(path.join(dir, "src", "lib"), { recursive: true });
+        await fsPromises.writeFile(path.join(dir, "index.js"), "");
+        await fsPromises.writeFile(path.join(dir, "src", "index.js"), "");
+        await fsPromises.writeFile(path.join(dir, "src", "lib", "x.js"), "");
+        await fsPromises.writeFile(path.join(dir, "src", "lib", "notes.md"), "");
+        const git = (...args) => execFileAsync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], { cwd: dir });
+        await git("init", "-q");
+        await git("add", "-A");
+        await git("commit", "-q", "-m", "initial");
+
+        for (const includePatterns of [["*.js"], ["src/*"], ["src/**"], ["**/*.md"]]) {
+            const workingTree = await analyze(dir, { includePatterns });
+            const revision = await analyze(dir, { includePatterns, ref: "HEAD" });
+            assert.deepEqual(revision.files.sort(), workingTree.files.sort(), includePatterns.join(","));
+        }
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { getGitStatus, parseStatusRecord } from "../src/git-utils.js";
+
+const execFileAsync = promisify(execFile);
+
+const HASH = "0".repeat(40);
+
+test("parseStatusRecord reads ordinary changes", () => {
+    const { path: file, status } = parseStatusRecord(`1 .M N... 100644 100644 100644 ${HASH} ${HASH} src/my file.js`);
+    assert.equal(file, "src/my file.js");
+    assert.equal(status.state, "modified");
+    assert.equal(status.code, ".M");
+    assert.equal(status.index, null);
+    assert.equal(status.worktree, "modified");
+    assert.equal(status.submodule, null);
+
+    const staged = parseStatusRecord(`1 A. N... 000000 100644 100644 ${HASH} ${HASH} new.js`).status;
+    assert.equal(staged.state, "added");
+    assert.equal(staged.index, "added");
+});
+
+test("parseStatusRecord reads renames, conflicts and untracked files", () => {
+    const renamed = parseStatusRecord(`2 R. N... 100644 100644 100644 ${HASH} ${HASH} R100 lib/new name.js`);
+    assert.equal(renamed.path, "lib/new name.js");
+    assert.equal(renamed.status.state, "renamed");
+
+    const conflicted = parseStatusRecord(`u UU N... 100644 100644 100644 100644 ${HASH} ${HASH} ${HASH} merge.txt`);
+    assert.equal(conflicted.path, "merge.txt");
+    assert.equal(conflicted.status.state, "conflicted");
+    assert.equal(conflicted.status.conflict, "both-modified");
+
+    const deletedByThem = parseStatusRecord(`u UD N... 100644 100644 000000 100644 ${HASH} ${HASH} ${HASH} gone.txt`);
+    assert.equal(deletedByThem.status.conflict, "deleted-by-them");
+
+    const untracked = parseStatusRecord("? notes/todo.md");
+    assert.equal(untracked.path, "notes/todo.md");
+    assert.equal(untracked.status.state, "untracked");
+    assert.equal(untracked.status.code, "??");
+
+    const submodule = parseStatusRecord(`1 .M SC.U 160000 160000 160000 ${HASH} ${HASH} vendor/lib`).status;
+    assert.deepEqual(submodule.submodule, { commitChanged: true, trackedChanges: false, untrackedChanges: true });
+
+    assert.equal(parseStatusRecord("# branch.oid abc"), null);
+});
+
+test("getGitStatus pairs renames with their source and rolls up directories", async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    const git = (...args) => execFileAsync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], { cwd: dir });
+    try {
+        await fsPromises.mkdir(path.join(dir, "src"));
+        await fsPromises.writeFile(path.join(dir, "src", "old.js"), "export const value = 1;\n");
+        await fsPromises.writeFile(path.join(dir, "README.md"), "# test\n");
+        await git("init", "-q");
+        await git("add", "-A");
+        await git("commit", "-q", "-m", "initial");
+
+        await git("mv", "src/old.js", "src/new name.js");
+        await fsPromises.writeFile(path.join(dir, "README.md"), "# changed\n");
+        await fsPromises.writeFile(path.join(dir, "src", "untracked.js"), "");
+
+        const status = await getGitStatus(dir);
+        assert.equal(status["src/new name.js"].state, "renamed");
+        assert.equal(status["src/new name.js"].from, "src/old.js");
+        assert.equal(status["README.md"].state, "modified");
+        assert.equal(status["src/untracked.js"].state, "untracked");
+        assert.equal(status.src.isDirectory, true);
+        assert.deepEqual(status.src.changes, { renamed: 1, untracked: 1 });
+        assert.equal(status.src.state, "renamed");
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("getGitStatus reports merge conflicts", async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    const git = (...args) => execFileAsync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], { cwd: dir });
+    try {
+        await fsPromises.writeFile(path.join(dir, "file.txt"), "base\n");
+        await git("init", "-q", "-b", "main");
+        await git("add", "-A");
+        await git("commit", "-q", "-m", "base");
+        await git("checkout", "-q", "-b", "other");
+        await fsPromises.writeFile(path.join(dir, "file.txt"), "other\n");
+        await git("commit", "-q", "-am", "other");
+        await git("checkout", "-q", "main");
+        await fsPromises.writeFile(path.join(dir, "file.txt"), "main\n");
+        await git("commit", "-q", "-am", "main");
+        await git("merge", "-q", "other").catch(() => {});
+
+        const status = await getGitStatus(dir);
+        assert.equal(status["file.txt"].state, "conflicted");
+        assert.equal(status["file.txt"].conflict, "both-modified");
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { promisify } from "util";
+import { analyze } from "../src/api.js";
+import { GitIgnore, rebasePattern } from "../src/gitignore.js";
+
+const execFileAsync = promisify(execFile);
+
+async function createRepository(files) {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    for (const [file, content] of Object.entries(files)) {
+        await fsPromises.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+        await fsPromises.writeFile(path.join(dir, file), content);
+    }
+    const git = (...args) => execFileAsync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], { cwd: dir });
+    await git("init", "-q");
+    return { dir, git };
+}
+
+test("rebasePattern anchors patterns to the directory of their .gitignore", () => {
+    assert.equal(rebasePattern("*.log", ""), "*.log");
+    assert.equal(rebasePattern("*.log", "src"), "src/**/*.log");
+    assert.equal(rebasePattern("/build", "src"), "src/build");
+    assert.equal(rebasePattern("lib/out/", "src"), "src/lib/out/");
+    assert.equal(rebasePattern("!keep.log", "src"), "!src/**/keep.log");
+    assert.equal(rebasePattern("# comment", "src"), null);
+    assert.equal(rebasePattern("", "src"), null);
+});
+
+test("nested .gitignore files and negations apply like in git", async () => {
+    const { dir } = await createRepository({
+        ".gitignore": "*.log\nbuild/\n",
+        "app.log": "",
+        "build/out.js": "",
+        "src/.gitignore": "!keep.log\n/generated\n",
+        "src/keep.log": "",
+        "src/other.log": "",
+        "src/generated/a.js": "",
+        "src/lib/generated/b.js": "",
+        "src/index.js": ""
+    });
+    try {
+        const result = await analyze(dir, { showHidden: true, ignorePatterns: [] });
+        const files = result.files.filter(file => !file.endsWith(".gitignore")).sort();
+        assert.deepEqual(files, [
+            "src",
+            "src/index.js",
+            "src/keep.log",
+            "src/lib",
+            "src/lib/generated",
+            "src/lib/generated/b.js"
+        ]);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("ancestor .gitignore files apply to an analyzed subdirectory", async () => {
+    const { dir } = await createRepository({
+        ".gitignore": "*.tmp\npackages/app/dist\n",
+        "packages/app/index.js": "",
+        "packages/app/cache.tmp": "",
+        "packages/app/dist/bundle.js": ""
+    });
+    try {
+        const result = await analyze(path.join(dir, "packages", "app"));
+        assert.deepEqual(result.files.sort(), ["index.js"]);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("info/exclude and core.excludesFile are read", async () => {
+    const { dir, git } = await createRepository({
+        "a.secret": "",
+        "b.private": "",
+        "c.js": ""
+    });
+    try {
+        await fsPromises.writeFile(path.join(dir, ".git", "info", "exclude"), "*.secret\n");
+        await fsPromises.writeFile(path.join(dir, "excludes"), "*.private\nexcludes\n");
+        await git("config", "core.excludesFile", path.join(dir, "excludes"));
+
+        const gitignore = await new GitIgnore(dir).load();
+        assert.equal(gitignore.ignores("a.secret"), true);
+        assert.equal(gitignore.ignores("b.private"), true);
+        assert.equal(gitignore.ignores("c.js"), false);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("tracked files stay visible when a pattern matches them", async () => {
+    const { dir, git } = await createRepository({
+        "vendor/lib.js": "",
+        "vendor/untracked.js": ""
+    });
+    try {
+        await git("add", "vendor/lib.js");
+        await git("commit", "-q", "-m", "initial");
+        await fsPromises.writeFile(path.join(dir, ".gitignore"), "vendor/\n");
+
+        const result = await analyze(dir);
+        assert.deepEqual(result.files.sort(), ["vendor", "vendor/lib.js"]);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
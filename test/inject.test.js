@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { parseBlockSettings, findInjectBlocks, wrapBlockOutput, replaceInjectBlocks } from "../src/inject.js";
+
+const execFileAsync = promisify(execFile);
+const cli = fileURLToPath(new URL("../index.js", import.meta.url));
+
+test("parseBlockSettings reads values, flags and negations", () => {
+    assert.deepEqual(parseBlockSettings(` depth=2 format=txt files no-gitignore ignore="a b" `, 1), {
+        depth: 2,
+        format: "txt",
+        files: true,
+        gitignore: false,
+        ignore: "a b"
+    });
+    assert.deepEqual(parseBlockSettings("group-by-type", 1), { groupByType: true });
+    assert.throws(() => parseBlockSettings("output=x.txt", 7), /Unknown setting "output" in the marker at line 7/);
+});
+
+test("findInjectBlocks and replaceInjectBlocks rewrite only the block contents", () => {
+    const content = "# Title\n<!-- repostruc:start depth=1 -->\nold\n<!-- repostruc:end -->\ntext\n<!-- repostruc:start -->\n<!-- repostruc:end -->\n";
+    const blocks = findInjectBlocks(content);
+    assert.deepEqual(blocks.map(block => [block.line, block.settings, block.content]), [
+        [2, { depth: 1 }, "\nold\n"],
+        [6, {}, "\n"]
+    ]);
+    assert.equal(
+        replaceInjectBlocks(content, blocks, ["\nnew\n", "\nsecond\n"]),
+        "# Title\n<!-- repostruc:start depth=1 -->\nnew\n<!-- repostruc:end -->\ntext\n<!-- repostruc:start -->\nsecond\n<!-- repostruc:end -->\n"
+    );
+
+    assert.throws(() => findInjectBlocks("<!-- repostruc:start -->"), /Block started at line 1 has no end marker/);
+    assert.throws(() => findInjectBlocks("<!-- repostruc:end -->"), /End marker at line 1 has no start marker/);
+    assert.throws(() => findInjectBlocks("<!-- repostruc:start -->\n<!-- repostruc:start -->"), /inside the block started at line 1/);
+});
+
+test("wrapBlockOutput fences everything but markdown", () => {
+    assert.equal(wrapBlockOutput("a\n\n", "markdown"), "\na\n");
+    assert.equal(wrapBlockOutput("tree\n", "txt"), "\n```text\ntree\n```\n");
+    assert.equal(wrapBlockOutput("```x```", "json"), "\n````json\n```x```\n````\n");
+});
+
+test("repostruc inject --check exits with 1 when a block is stale and 0 once updated", async () => {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    const readme = path.join(dir, "README.md");
+    const run = (...args) => execFileAsync(process.execPath, [cli, "inject", readme, ...args]).then(() => 0, error => error.code);
+    try {
+        await fsPromises.mkdir(path.join(dir, "src"));
+        await fsPromises.writeFile(path.join(dir, "src", "index.js"), "");
+        await fsPromises.writeFile(readme, "# Test\n\n<!-- repostruc:start files -->\n<!-- repostruc:end -->\n");
+
+        assert.equal(await run("--check"), 1);
+        assert.equal(await fsPromises.readFile(readme, "utf8"), "# Test\n\n<!-- repostruc:start files -->\n<!-- repostruc:end -->\n");
+
+        assert.equal(await run(), 0);
+        const updated = await fsPromises.readFile(readme, "utf8");
+        assert.match(updated, /```text\n[\s\S]*index\.js[\s\S]*README\.md[\s\S]*```\n<!-- repostruc:end -->/);
+        assert.equal(await run("--check"), 0);
+
+        await fsPromises.writeFile(path.join(dir, "src", "added.js"), "");
+        assert.equal(await run("--check"), 1);
+
+        await fsPromises.writeFile(readme, "<!-- repostruc:start bogus -->\n<!-- repostruc:end -->\n");
+        assert.equal(await run("--check"), 2);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { analyze } from "../src/api.js";
+import { normalizeRules, lintStructure } from "../src/lint.js";
+import { LintSARIFFormatter } from "../src/formatters/lint-formatter.js";
+
+const execFileAsync = promisify(execFile);
+const cli = fileURLToPath(new URL("../index.js", import.meta.url));
+
+async function createTree(files) {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    for (const [file, content] of Object.entries(files)) {
+        await fsPromises.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+        await fsPromises.writeFile(path.join(dir, file), content);
+    }
+    return dir;
+}
+
+async function lint(dir, rules) {
+    const result = await analyze(dir, { showHidden: true });
+    return lintStructure(result, normalizeRules(rules));
+}
+
+test("normalizeRules rejects invalid rules", () => {
+    assert.throws(() => normalizeRules({ unknown: [] }), /Unknown lint rule "unknown"/);
+    assert.throws(() => normalizeRules({ required: [{}] }), /needs a "path"/);
+    assert.throws(() => normalizeRules({ maxDepth: "deep" }), /"max" must be a number/);
+    assert.throws(() => normalizeRules({ naming: [{ files: "**", style: "SHOUTING" }] }), /unknown style "SHOUTING"/);
+    assert.throws(() => normalizeRules({ forbidden: [{ path: "x", severity: "fatal" }] }), /severity must be one of/);
+    assert.deepEqual(normalizeRules({ forbidden: [{ path: "x", severity: "off" }] }), { forbidden: [] });
+});
+
+test("lintStructure reports required, forbidden, naming, depth and entry violations", async () => {
+    const dir = await createTree({
+        "README.md": "",
+        "packages/app/package.json": "",
+        "packages/lib/index.js": "",
+        "src/MyComponent.js": "",
+        "src/good-name.js": "",
+        "src/a/b/c/deep.js": "",
+        "config/secrets.pem": ""
+    });
+    try {
+        const violations = await lint(dir, {
+            required: ["README.md", "LICENSE", { in: "packages/*", path: "package.json" }],
+            forbidden: [{ path: "**/*.pem", message: "Do not commit secrets" }],
+            naming: [{ files: "src/**", style: "kebab-case", severity: "warning" }],
+            maxDepth: 4,
+            maxEntries: { max: 3, in: "src" }
+        });
+
+        assert.deepEqual(violations.map(({ rule, severity, path: file }) => [rule, severity, file]), [
+            ["required", "error", "."],
+            ["forbidden", "error", "config/secrets.pem"],
+            ["required", "error", "packages/lib"],
+            ["maxDepth", "error", "src/a/b/c/deep.js"],
+            ["naming", "warning", "src/MyComponent.js"]
+        ]);
+        assert.equal(violations[0].message, `Missing required path "LICENSE"`);
+        assert.equal(violations[1].message, "Do not commit secrets");
+        assert.equal(violations[4].message, `"MyComponent.js" is not kebab-case`);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("SARIF output lists every rule and locates results relative to the root", async () => {
+    const dir = await createTree({ "tmp/cache.txt": "" });
+    try {
+        const violations = await lint(dir, { required: "README.md", forbidden: { path: "tmp/", severity: "warning" } });
+        const sarif = JSON.parse(new LintSARIFFormatter({}).format({ directory: dir, violations }));
+
+        assert.equal(sarif.version, "2.1.0");
+        const [run] = sarif.runs;
+        assert.equal(run.tool.driver.name, "repostruc");
+        assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ["required", "forbidden", "naming", "maxDepth", "maxEntries"]);
+        assert.equal(run.originalUriBaseIds.ROOT.uri, `${new URL(`file://${dir}`).href}/`);
+        assert.deepEqual(run.results.map(result => [result.ruleId, result.level, result.locations[0].physicalLocation.artifactLocation.uri]), [
+            ["required", "error", ""],
+            ["forbidden", "warning", "tmp"]
+        ]);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("repostruc lint exits with 1 on errors and 0 on warnings only", async () => {
+    const dir = await createTree({ "src/Bad.js": "" });
+    const run = () => execFileAsync(process.execPath, [cli, "lint", dir]).then(() => 0, error => error.code);
+    try {
+        await fsPromises.writeFile(path.join(dir, ".repostrucrc.json"), JSON.stringify({
+            rules: { naming: [{ files: "src/*", style: "kebab-case", severity: "warning" }] }
+        }));
+        assert.equal(await run(), 0);
+
+        await fsPromises.writeFile(path.join(dir, ".repostrucrc.json"), JSON.stringify({
+            rules: { naming: [{ files: "src/*", style: "kebab-case" }] }
+        }));
+        assert.equal(await run(), 1);
+
+        await fsPromises.writeFile(path.join(dir, ".repostrucrc.json"), JSON.stringify({ rules: { bogus: [] } }));
+        assert.equal(await run(), 2);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
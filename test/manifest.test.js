@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { Analyzer, loadManifest, getManifestSettings, verifyManifest } from "../src/api.js";
+
+const execFileAsync = promisify(execFile);
+const cli = fileURLToPath(new URL("../index.js", import.meta.url));
+
+async function createTree(files) {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    for (const [file, content] of Object.entries(files)) {
+        await fsPromises.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+        await fsPromises.writeFile(path.join(dir, file), content);
+    }
+    return dir;
+}
+
+async function writeManifest(dir, manifestFile) {
+    await execFileAsync(process.execPath, [cli, dir, "-f", "manifest", "-o", manifestFile]);
+    return loadManifest(manifestFile);
+}
+
+async function verify(dir, manifestFile) {
+    const manifest = await loadManifest(manifestFile);
+    const analyzer = new Analyzer(getManifestSettings(manifest, manifestFile));
+    return verifyManifest(manifest, await analyzer.analyze(dir));
+}
+
+test("a manifest verifies against the directory it was generated from", async () => {
+    const dir = await createTree({ "src/index.js": "export {};\n", "README.md": "# test\n" });
+    const manifestFile = path.join(dir, "manifest.json");
+    try {
+        const manifest = await writeManifest(dir, manifestFile);
+        assert.deepEqual(manifest.files.map(entry => entry.path).sort(), ["README.md", "src/index.js"]);
+        assert.ok(manifest.files.every(entry => /^[0-9a-f]{64}$/.test(entry.sha256)));
+
+        const result = await verify(dir, manifestFile);
+        assert.deepEqual(result.missing, []);
+        assert.deepEqual(result.extra, []);
+        assert.deepEqual(result.modified, []);
+        assert.equal(result.verified, 2);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("verify reports missing, extra and modified files", async () => {
+    const dir = await createTree({ "a.txt": "one\n", "b.txt": "two\n", "c.txt": "three\n" });
+    const manifestFile = path.join(os.tmpdir(), `${path.basename(dir)}.manifest.json`);
+    try {
+        await writeManifest(dir, manifestFile);
+        await fsPromises.rm(path.join(dir, "a.txt"));
+        await fsPromises.writeFile(path.join(dir, "b.txt"), "TWO\n");
+        await fsPromises.writeFile(path.join(dir, "c.txt"), "longer\n");
+        await fsPromises.writeFile(path.join(dir, "d.txt"), "new\n");
+
+        const result = await verify(dir, manifestFile);
+        assert.deepEqual(result.missing.map(entry => entry.path), ["a.txt"]);
+        assert.deepEqual(result.extra.map(entry => entry.path), ["d.txt"]);
+        assert.deepEqual(result.modified.map(entry => [entry.path, entry.changes]), [
+            ["b.txt", ["content"]],
+            ["c.txt", ["content", "size"]]
+        ]);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+        await fsPromises.rm(manifestFile, { force: true });
+    }
+});
+
+test("repostruc verify exits with 0 when the directory matches, 1 when it differs and 2 on errors", async () => {
+    const dir = await createTree({ "a.txt": "one\n" });
+    const manifestFile = path.join(dir, "manifest.json");
+    const run = (...args) => execFileAsync(process.execPath, [cli, "verify", ...args]).then(() => 0, error => error.code);
+    try {
+        await writeManifest(dir, manifestFile);
+        assert.equal(await run(manifestFile, dir), 0);
+
+        await fsPromises.writeFile(path.join(dir, "a.txt"), "changed\n");
+        assert.equal(await run(manifestFile, dir), 1);
+
+        await fsPromises.writeFile(path.join(dir, "not-a-manifest.json"), "{}");
+        assert.equal(await run(path.join(dir, "not-a-manifest.json"), dir), 2);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { promises as fsPromises } from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import { analyze, detectWorkspaces, selectWorkspaces } from "../src/api.js";
+
+const execFileAsync = promisify(execFile);
+const cli = fileURLToPath(new URL("../index.js", import.meta.url));
+
+async function withTree(files, callback) {
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "repostruc-"));
+    try {
+        for (const [file, content] of Object.entries(files)) {
+            await fsPromises.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+            await fsPromises.writeFile(path.join(dir, file), content);
+        }
+        await callback(dir);
+    } finally {
+        await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+const npmMonorepo = {
+    "package.json": JSON.stringify({ name: "root", workspaces: ["packages/*", "!packages/ignored"] }),
+    "packages/web/package.json": JSON.stringify({ name: "@acme/web" }),
+    "packages/web/src/index.js": "export {};\n",
+    "packages/api/package.json": JSON.stringify({ name: "@acme/api" }),
+    "packages/api/server.js": "export {};\n",
+    "packages/ignored/package.json": JSON.stringify({ name: "ignored" }),
+    "packages/no-manifest/index.js": ""
+};
+
+test("detectWorkspaces reads npm workspaces with exclusions", async () => {
+    await withTree(npmMonorepo, async dir => {
+        assert.deepEqual(await detectWorkspaces(dir), [
+            { name: "@acme/api", path: "packages/api", manager: "npm" },
+            { name: "@acme/web", path: "packages/web", manager: "npm" }
+        ]);
+    });
+});
+
+test("detectWorkspaces reads pnpm, cargo and go workspaces", async () => {
+    await withTree({
+        "pnpm-workspace.yaml": "packages:\n  - apps/*\n",
+        "apps/site/package.json": JSON.stringify({ name: "site" }),
+        "Cargo.toml": "[workspace]\nmembers = [\"crates/*\"]\nexclude = [\"crates/old\"]\n",
+        "crates/core/Cargo.toml": "[package]\nname = \"core-lib\"\nversion = \"0.1.0\"\n",
+        "crates/old/Cargo.toml": "[package]\nname = \"old\"\n",
+        "go.work": "go 1.22\n\nuse (\n    ./tools // build tools\n)\n",
+        "tools/go.mod": "module example.com/tools\n"
+    }, async dir => {
+        assert.deepEqual(await detectWorkspaces(dir), [
+            { name: "site", path: "apps/site", manager: "pnpm" },
+            { name: "core-lib", path: "crates/core", manager: "cargo" },
+            { name: "example.com/tools", path: "tools", manager: "go" }
+        ]);
+    });
+});
+
+test("invalid workspace definitions become warnings", async () => {
+    await withTree({ "package.json": "{ broken" }, async dir => {
+        const warnings = [];
+        assert.deepEqual(await detectWorkspaces(dir, warnings), []);
+        assert.match(warnings[0], /Could not read npm workspaces/);
+    });
+});
+
+test("selectWorkspaces matches names and paths", () => {
+    const packages = [
+        { name: "@acme/api", path: "packages/api", manager: "npm" },
+        { name: "@acme/web", path: "packages/web", manager: "npm" }
+    ];
+    assert.deepEqual(selectWorkspaces(packages, ["@acme/web", "./packages/api/"]).map(pkg => pkg.path), ["packages/web", "packages/api"]);
+    assert.throws(() => selectWorkspaces(packages, ["nope"]), /Unknown package "nope" \(available: @acme\/api, @acme\/web\)/);
+    assert.throws(() => selectWorkspaces([], ["nope"]), /no workspaces found/);
+});
+
+test("--workspaces summarizes every package", async () => {
+    await withTree(npmMonorepo, async dir => {
+        const result = await analyze(dir, { showWorkspaces: true, showStats: true });
+        assert.deepEqual(result.stats.packages.map(pkg => [pkg.name, pkg.files]), [
+            ["@acme/api", 2],
+            ["@acme/web", 2]
+        ]);
+    });
+});
+
+test("--package analyzes only the selected packages", async () => {
+    await withTree(npmMonorepo, async dir => {
+        const { stdout } = await execFileAsync(process.execPath, [cli, dir, "--package", "@acme/web", "--no-file", "--no-color"]);
+        assert.match(stdout, /index\.js/);
+        assert.doesNotMatch(stdout, /server\.js/);
+
+        const failure = await execFileAsync(process.execPath, [cli, dir, "--package", "missing", "--no-file"]).catch(error => error);
+        assert.notEqual(failure.code, 0);
+        assert.match(failure.stderr, /Unknown package "missing"/);
+    });
+});